@@ -1,119 +1,502 @@
 #!/usr/bin/env node
 import Anthropic from '@anthropic-ai/sdk';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fetchToken, isAuthRejection } from './auth.mjs';
+import { BISECT_DIMENSIONS, bisect, describePoint, startingPoint } from './bisect.mjs';
+import { createCaptureFetch, createReplayFetch, readCapture, writeCapture } from './capture.mjs';
+import { loadToolCatalog } from './catalog.mjs';
+import { configFile, describeConfig, loadConfig, usage } from './cli.mjs';
+import { checkRouting, correlationIdFor, describeRouting, formatMergedTimeline, mergeTimeline } from './correlation.mjs';
+import { FAULT_HEADER, pickFault } from './faults.mjs';
+import { createIntegrityChecker, readNonce } from './integrity.mjs';
+import { describeLoadProfile, runSchedule, streamSchedule } from './load-profile.mjs';
+import { callMcpTool, closeMcp, connectMcp } from './mcp-client.mjs';
+import { countingFetch, formatMetrics, summarizeStreams } from './metrics.mjs';
+import { withRecovery } from './recovery.mjs';
+import { buildReport, classifyFailure, writeReports } from './report.mjs';
+import { checkSequence, describeWorkflows, resolveWorkflow, summarizeWorkflows, workflowFor } from './scenario.mjs';
+import { handleShutdown, signalExitCode } from './shutdown.mjs';
+import { createStreamValidator, validateFrames } from './stream-validator.mjs';
+import { createUsageCounter, estimateCost, formatCost, formatUsage, sumUsage } from './usage.mjs';
+import { formatSize, sleep } from './utils.mjs';
 
-// Configuration - adjust these for your setup
-const CONFIG = {
-    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-    mcpUrl: process.env.MCP_URL,
-    maxTokens: 4096,
-    // Number of CONCURRENT streams (simulates multiple enrichment workflows running at once)
-    concurrentStreams: 10,
-    // Number of tool calls EACH stream makes (simulates one workflow calling multiple tools)
-    toolCallsPerStream: 5,
-    // Run the test N times to measure reproducibility
-    iterations: 3,
-};
-
-console.log('=== MCP CONCURRENT + SEQUENTIAL TEST ===\n');
-console.log(`Testing concurrent streams, each making multiple sequential tool calls`);
-console.log(`This mirrors production: multiple enrichment workflows running simultaneously,`);
-console.log(`each workflow making multiple tool calls to the shared MCP server.`);
-console.log(`\nMCP URL: ${CONFIG.mcpUrl}`);
-console.log(`Concurrent streams: ${CONFIG.concurrentStreams}`);
-console.log(`Tool calls per stream: ${CONFIG.toolCallsPerStream}`);
-console.log(`Iterations: ${CONFIG.iterations}\n`);
-
-async function testSingleStream(streamId, startDelay = 0) {
+// Configuration - see `node anthropic.mjs --help` and cli.mjs
+let CONFIG;
+try {
+    CONFIG = await loadConfig(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ERROR: ${error.message}`);
+    console.error('Run with --help for usage.');
+    process.exit(1);
+}
+
+if (CONFIG.help) {
+    console.log(usage());
+    process.exit(0);
+}
+
+// Captures from one run share a directory
+const RUN_ID = new Date().toISOString().replace(/[:.]/g, '-');
+
+if (!CONFIG.replay) {
+    console.log('=== MCP CONCURRENT + SEQUENTIAL TEST ===\n');
+    console.log(`Testing concurrent streams, each making multiple sequential tool calls`);
+    console.log(`This mirrors production: multiple enrichment workflows running simultaneously,`);
+    console.log(`each workflow making multiple tool calls to the shared MCP server.\n`);
+    console.log(describeConfig(CONFIG) + '\n');
+}
+
+/*
+ * Which transport and server-instance modes the MCP server runs, and whether it signs its
+ * tool results (mcp.mjs reports all three on /health). Anything else - a production server,
+ * or one that is down - is 'unknown' and unsigned.
+ */
+async function probeMcpServer() {
+    try {
+        const response = await fetch(`${CONFIG.mcpUrl}/health`, { signal: AbortSignal.timeout(2000) });
+        const { transport = 'unknown', serverInstance = 'unknown', integrity = false } = response.ok ? await response.json() : {};
+        return { transport, serverInstance, integrity };
+    } catch {
+        return { transport: 'unknown', serverInstance: 'unknown', integrity: false };
+    }
+}
+
+const MCP_SERVER = CONFIG.replay ? null : await probeMcpServer();
+if (MCP_SERVER) {
+    console.log(`MCP server: ${MCP_SERVER.serverInstance} instance, ${MCP_SERVER.transport} transport\n`);
+}
+
+// Estimated spend of this run so far, for --budget (see usage.mjs)
+let runCostUsd = 0;
+const budgetReached = () => CONFIG.budgetUsd !== undefined && runCostUsd >= CONFIG.budgetUsd;
+
+/*
+ * Ctrl-C (or SIGTERM) aborts every open stream and starts no more; the run then reports
+ * what it has, as a partial report, and exits with the signal's code. A second one exits at once.
+ */
+const interruption = new AbortController();
+let interruptedBy = null;
+const interrupted = () => interruption.signal.aborted;
+const openStreams = new Set();
+
+handleShutdown((signal) => {
+    interruptedBy = signal;
+    console.log(`\n⏹️ ${signal}: aborting ${openStreams.size} open stream(s), then writing a partial report (${signal} again to exit now)\n`);
+    interruption.abort();
+    for (const stream of openStreams) {
+        stream.abort();
+    }
+});
+
+// 0, 1 with failures, or the signal's code when interrupted
+const exitCode = (failed) => (interrupted() ? signalExitCode(interruptedBy) : failed ? 1 : 0);
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+// Why a --size-sweep or --bisect stops early: the budget ran out or the run was interrupted
+class RunStoppedError extends Error {}
+
+const stopReason = () =>
+    interrupted() ? `Interrupted by ${interruptedBy}` : budgetReached() ? `Budget of ${formatCost(CONFIG.budgetUsd)} reached` : null;
+
+// What the SDK told us about the stream: an 'error' event, an 'abort' event, or nothing at all
+function sdkSignal(events) {
+    if (events.stream_error) {
+        return 'error';
+    }
+    if (events.abort) {
+        return 'abort';
+    }
+    return 'none';
+}
+
+// responseSize, --tool-latency and the stream's correlation id travel as query parameters: the API
+// makes the MCP requests itself, and the URL is the only part of them we control through it
+function mcpServerUrl(responseSize, correlationId) {
+    const query = new URLSearchParams({
+        ...(responseSize && { responseSize }),
+        ...(CONFIG.toolLatency !== undefined && { latency: CONFIG.toolLatency }),
+        ...(correlationId && { correlationId }),
+    }).toString();
+    return `${CONFIG.mcpUrl}/mcp${query ? `?${query}` : ''}`;
+}
+
+/*
+ * Bearer token for the MCP server's authorization_token: the static MCP_AUTH_TOKEN, or one
+ * from --mcp-token-url, fetched again at every `scope` ('iteration' or 'stream') that
+ * matches --token-refresh. Expired tokens are left to fail, since that is what we're testing.
+ */
+let currentToken = null;
+
+async function mcpToken(scope) {
+    if (!CONFIG.mcpTokenUrl) {
+        return CONFIG.mcpAuthToken;
+    }
+    if (!currentToken || CONFIG.tokenRefresh === scope) {
+        const token = await fetchToken(CONFIG.mcpTokenUrl, { clientSecret: CONFIG.mcpClientSecret });
+        currentToken = token.access_token;
+        console.log(`🔑 New MCP token for this ${scope} (expires in ${token.expires_in}s)`);
+    }
+    return currentToken;
+}
+
+// Tool execution times mcp.mjs measured since `since` (ms since epoch); null from servers without /stats/tools
+async function fetchServerToolTimings(since) {
+    try {
+        const response = await fetch(`${CONFIG.mcpUrl}/stats/tools?since=${since}`, { signal: AbortSignal.timeout(2000) });
+        return response.ok ? (await response.json()).timings : null;
+    } catch {
+        return null;
+    }
+}
+
+// `turn` only in client tool mode, `attempt` only for attempts after a recovery
+function capturePath(iteration, streamId, responseSize, { turn, attempt } = {}) {
+    const size = responseSize ? `-${responseSize}b` : '';
+    const suffix = `${turn ? `-turn-${turn}` : ''}${attempt > 1 ? `-attempt-${attempt}` : ''}`;
+    return join(CONFIG.captureDir, RUN_ID, `iteration-${iteration}${size}-stream-${streamId}${suffix}.jsonl`);
+}
+
+// MCP tool content as Messages tool_result content (resources are passed on as their text)
+function toolResultContent(content) {
+    return content.map((part) => {
+        switch (part.type) {
+            case 'image':
+                return { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } };
+            case 'resource':
+                return { type: 'text', text: part.resource.text ?? part.resource.uri };
+            default:
+                return { type: 'text', text: part.text ?? JSON.stringify(part) };
+        }
+    });
+}
+
+async function testSingleStream(streamId, startDelay = 0, responseSize = CONFIG.responseSize, { iteration = 1, replay } = {}) {
     // Stagger stream starts so they call different tools at the same time
     if (startDelay > 0) {
         console.log(`[Stream ${streamId}] Waiting ${startDelay}ms before starting...`);
-        await new Promise((resolve) => setTimeout(resolve, startDelay));
+        await sleep(startDelay, interruption.signal);
     }
     
     console.log(`\n[Stream ${streamId}] Starting...`);
 
+    // Client tool mode runs a Messages stream per turn; connector mode (and a replay) runs one
+    const clientTools = CONFIG.toolMode === 'client' && !replay;
 
-    const client = new Anthropic({
-        apiKey: CONFIG.anthropicApiKey,
-    });
+    // Prompts, tools, thinking and expected tool calls for this stream (see scenario.mjs)
+    const workflow = resolveWorkflow(CONFIG.workflows ? workflowFor(CONFIG.workflows, streamId) : {}, CONFIG);
+    if (CONFIG.workflows) {
+        console.log(`[Stream ${streamId}] Workflow: ${workflow.name}`);
+    }
+
+    // Tags this stream's MCP requests (see correlation.mjs); a replay makes none
+    const correlationId = replay ? null : correlationIdFor(RUN_ID, iteration, streamId, responseSize);
+
+    // Tool results signed by mcp.mjs are checked against this stream (see integrity.mjs)
+    const integrity = correlationId && MCP_SERVER.integrity ? createIntegrityChecker({ correlationId, secret: CONFIG.integritySecret }) : null;
+    const integrityViolations = [];
+
+    // Raw SSE frames per turn, when capturing (see capture.mjs)
+    const captures = [];
+
+    const createClient = (turn, attempt) => {
+        const capture = CONFIG.captureDir && !replay
+            ? { meta: { streamId, iteration, turn, attempt, responseSize, workflow: workflow.name, toolCallsPerStream: workflow.toolCalls } }
+            : null;
+        if (capture) {
+            captures.push(capture);
+        }
+
+        const baseFetch = replay
+            ? createReplayFetch(replay, { realtime: CONFIG.replayRealtime })
+            : capture
+              ? createCaptureFetch(capture)
+              : fetch;
+
+        return new Anthropic({
+            apiKey: CONFIG.anthropicApiKey || 'mock-api-key',
+            baseURL: CONFIG.anthropicBaseUrl,
+            fetch: countingFetch(baseFetch, (bytes) => (metrics.bytesReceived += bytes)),
+            ...(replay && { maxRetries: 0 }),
+        });
+    };
     const startTime = Date.now();
 
-    // Event tracking
+    // Latency metrics (see metrics.mjs)
+    const metrics = {
+        timeToFirstEventMs: null,
+        toolRoundTripsMs: [],
+        eventGapsMs: [],
+        bytesReceived: 0,
+    };
+    const toolUseTimes = new Map();
+    const toolUseNames = new Map();
+    // Tool calls as the model made them ({ name, input }), checked against the workflow's sequence
+    const toolCalls = [];
+    // Tool calls since the last recovery, for the routing check (see correlation.mjs). Errors with
+    // no nonce came from outside the tool (e.g. a refused token), so the server never ran them.
+    let finalAttempt = { since: startTime, toolUses: 0, toolResults: 0, unsignedErrors: 0 };
+
+    // Event tracking - tool counts cover mcp_tool_use/mcp_tool_result blocks in connector
+    // mode, and tool_use blocks plus our own tool results in client tool mode
     const events = {
         connect: false,
         thinking: false,
         text: false,
         mcp_tool_use_count: 0,
         mcp_tool_result_count: 0,
+        // Tool results with is_error - e.g. a token that expired mid-stream
+        mcp_tool_error_count: 0,
+        // ...of which carry no integrity nonce: refused before the tool ran (e.g. a draining server), so no result
+        mcp_tool_refused_count: 0,
+        // ...of which the MCP server refused the token (HTTP 401)
+        mcp_tool_auth_error_count: 0,
         message_stop: false,
         stream_error: null,
         abort: false,
         completed: false,
+        // Reported back by the mock API; always 'none' against the real API
+        injected_fault: 'none',
     };
 
-    try {
-        const stream = client.beta.messages.stream(
+    // Everything that happened to the stream, for the report (deltas are left out - too many)
+    const timeline = [];
+    const record = (type, detail) => timeline.push({ t: Date.now() - startTime, type, ...(detail && { detail }) });
+
+    // Event-order rules, one validator per turn; the first one broken is the diagnosis
+    const validators = [];
+    // Token usage, one counter per Messages stream (turns and recovery attempts all cost)
+    const usageCounters = [];
+    // Attempts that broke and were recovered from (--recovery)
+    const recoveries = [];
+    const violations = () =>
+        validators.flatMap((validator, i) =>
+            validator.close().map((violation) => (clientTools ? { ...violation, message: `turn ${i + 1}: ${violation.message}` } : violation))
+        );
+
+    const finish = async (result) => {
+        const keepCaptures = captures.filter((capture) => capture.done);
+        const keep = keepCaptures.length > 0 && (CONFIG.capture === 'all' || !result.success);
+        const paths = [];
+        if (keep) {
+            for (const capture of keepCaptures) {
+                const path = capturePath(iteration, streamId, responseSize, {
+                    turn: clientTools && capture.meta.turn,
+                    attempt: capture.meta.attempt,
+                });
+                await writeCapture(path, capture);
+                paths.push(path);
+                console.log(`[Stream ${streamId}] 💾 Capture written: ${path}`);
+            }
+        }
+
+        const streamViolations = violations();
+        if (streamViolations.length > 0) {
+            console.log(`[Stream ${streamId}] 🩺 Diagnosis: ${streamViolations[0].message}`);
+        }
+        const usage = sumUsage(usageCounters.map((counter) => counter.usage()));
+        // A stream cut off by Ctrl-C says nothing about the bug
+        const wasInterrupted = !result.success && interrupted();
+
+        return {
+            ...result,
+            ...(wasInterrupted && { interrupted: true }),
+            correlationId,
+            workflow: workflow.name,
+            expectedToolCalls: workflow.toolCalls,
+            startedAt: startTime,
+            violations: streamViolations,
+            diagnosis: streamViolations[0]?.message ?? null,
+            injectedFault: events.injected_fault,
+            sdkSignal: sdkSignal(events),
+            failureReason: classifyFailure(
+                { ...result, sdkSignal: sdkSignal(events), violations: streamViolations, integrityViolations, interrupted: wasInterrupted },
+                workflow.toolCalls
+            ),
+            timeline,
+            metrics,
+            usage,
+            costUsd: estimateCost(usage, CONFIG.price),
+            finalAttempt: { ...finalAttempt, recovered: recoveries.length > 0 },
+            ...(recoveries.length > 0 && { recoveries }),
+            ...(integrityViolations.length > 0 && { integrityViolations }),
+            ...(keep && { capture: paths.length === 1 ? paths[0] : paths }),
+        };
+    };
+
+    const errorText = (block) => (Array.isArray(block.content) ? block.content.map((part) => part.text ?? '').join(' ') : String(block.content));
+
+    const noteToolResult = (block) => {
+        const usedAt = toolUseTimes.get(block.tool_use_id);
+        if (usedAt) {
+            metrics.toolRoundTripsMs.push(Date.now() - usedAt);
+        }
+        events.mcp_tool_result_count++;
+        const size = JSON.stringify(block).length;
+        console.log(
+            `[Stream ${streamId}][${Date.now() - startTime}ms] 📦 ${block.type} #${events.mcp_tool_result_count} received (${size} bytes)`
+        );
+        // Errors from outside the tool (e.g. auth or a draining server, from the API) are never signed
+        const unsigned = block.is_error && !readNonce(block.content);
+        if (block.is_error) {
+            events.mcp_tool_error_count++;
+            if (unsigned) {
+                events.mcp_tool_refused_count++;
+            }
+            const message = errorText(block);
+            // Only says why a refused call was refused; whether the tool ran is the nonce's call
+            const authError = unsigned && isAuthRejection(message);
+            if (authError) {
+                events.mcp_tool_auth_error_count++;
+            }
+            const label = authError ? '🔒 Tool auth error' : unsigned ? '⛔ Tool refused' : '⚠️ Tool error';
+            record(authError ? 'tool_auth_error' : unsigned ? 'tool_refused' : 'tool_error', message.slice(0, 200));
+            console.log(`[Stream ${streamId}]    ${label}: ${message.slice(0, 200)}`);
+        }
+
+        if (unsigned) {
+            finalAttempt.unsignedErrors++;
+        } else {
+            finalAttempt.toolResults++;
+        }
+        if (integrity && !unsigned) {
+            const tool = toolUseNames.get(block.tool_use_id) ?? 'unknown tool';
+            const violation = integrity.check(block.content, tool);
+            if (violation) {
+                integrityViolations.push({ toolUseId: block.tool_use_id, ...violation });
+                record('integrity', `${violation.reason}: ${violation.message}`);
+                console.log(`[Stream ${streamId}]    🚨 Integrity check failed (${violation.reason}): ${violation.message}`);
+            }
+        }
+    };
+
+    // One Messages stream; in client tool mode `tools` replaces mcp_servers
+    const runTurn = async (turn, messages, { tools, authorizationToken, attempt = 1 }) => {
+        if (interrupted()) {
+            throw new Error(`Interrupted by ${interruptedBy}`);
+        }
+        const validator = createStreamValidator();
+        validators.push(validator);
+        const usageCounter = createUsageCounter({ price: CONFIG.price, onCost: (delta) => (runCostUsd += delta) });
+        usageCounters.push(usageCounter);
+        if (clientTools) {
+            record('turn', `${turn}`);
+        }
+
+        // Picked per request, so a retried request may or may not be faulted again
+        const requestedFault = CONFIG.faultProfile.length > 0 ? pickFault(CONFIG.faultProfile) : undefined;
+
+        // Completed blocks, for resuming if the stream breaks
+        const received = [];
+
+        const stream = createClient(turn, attempt).beta.messages.stream(
             {
-                model: 'claude-haiku-4-5-20251001',
+                model: CONFIG.model,
                 stream: true,
                 max_tokens: CONFIG.maxTokens,
-                thinking: {
-                    type: 'enabled',
-                    budget_tokens: 1024,
-                },
+                ...(workflow.thinkingBudget > 0 && {
+                    thinking: {
+                        type: 'enabled',
+                        budget_tokens: workflow.thinkingBudget,
+                    },
+                }),
                 system: [
                     {
                         type: 'text',
-                        text: `You are testing MCP tools. You have access to: get-profile, query-database, and enrich-data. Call them in a purely random order. They do not actually represent real tools, but are used to test the MCP server. Ignore the tool names entirely!!!! Make exactly ${CONFIG.toolCallsPerStream} total calls. After each tool returns, briefly acknowledge and call the next tool.`,
-                    },
-                ],
-                messages: [
-                    {
-                        role: 'user',
-                        content: `Call the tools ${CONFIG.toolCallsPerStream} times total in this order: get-profile → query-database → enrich-data. Repeat the cycle if you need more calls. Start now with get-profile.`,
-                    },
-                ],
-                mcp_servers: [
-                    {
-                        type: 'url',
-                        url: `${CONFIG.mcpUrl}/mcp`,
-                        name: 'Test MCP',
-                        tool_configuration: {
-                            allowed_tools: ['get-profile', 'query-database', 'enrich-data'],
-                        },
+                        text: workflow.system,
                     },
                 ],
+                messages,
+                ...(tools
+                    ? { tools }
+                    : {
+                          mcp_servers: [
+                              {
+                                  type: 'url',
+                                  url: mcpServerUrl(responseSize, correlationId),
+                                  name: 'Test MCP',
+                                  ...(authorizationToken && { authorization_token: authorizationToken }),
+                                  tool_configuration: {
+                                      allowed_tools: workflow.tools,
+                                  },
+                              },
+                          ],
+                      }),
             },
             {
                 headers: {
-                    'anthropic-beta': ['mcp-client-2025-04-04', 'interleaved-thinking-2025-05-14'],
+                    'anthropic-beta': [...(tools ? [] : ['mcp-client-2025-04-04']), 'interleaved-thinking-2025-05-14'],
+                    ...(requestedFault && { [FAULT_HEADER]: requestedFault }),
                 },
             }
         );
 
+        openStreams.add(stream);
+
         // Track events
         stream.on('connect', () => {
             events.connect = true;
-            console.log(`[Stream ${streamId}][${Date.now() - startTime}ms] ✅ Connected`);
+            const fault = stream.response?.headers.get(FAULT_HEADER) ?? 'none';
+            if (fault !== 'none') {
+                events.injected_fault = fault;
+            }
+            record('connect', fault !== 'none' ? `fault=${fault}` : undefined);
+            console.log(`[Stream ${streamId}][${Date.now() - startTime}ms] ✅ Connected${fault !== 'none' ? ` (injected fault: ${fault})` : ''}`);
+        });
+
+        let lastEventAt = null;
+        stream.on('streamEvent', (event) => {
+            validator.onEvent(event);
+            usageCounter.onEvent(event);
+
+            const now = Date.now();
+            metrics.timeToFirstEventMs ??= now - startTime;
+            if (lastEventAt !== null) {
+                metrics.eventGapsMs.push(now - lastEventAt);
+            }
+            lastEventAt = now;
+
+            switch (event.type) {
+                case 'content_block_start':
+                    record(event.type, `index=${event.index} ${event.content_block.type}`);
+                    break;
+                case 'content_block_stop':
+                    record(event.type, `index=${event.index}`);
+                    break;
+                case 'message_delta':
+                    record(event.type, `stop_reason=${event.delta.stop_reason}`);
+                    break;
+                case 'message_stop':
+                    events.message_stop = true;
+                    record(event.type);
+                    break;
+                case 'message_start':
+                    record(event.type);
+                    break;
+            }
         });
 
         stream.on('contentBlock', (block) => {
             const elapsed = Date.now() - startTime;
+            received.push(block);
 
             switch (block.type) {
                 case 'mcp_tool_use':
+                case 'tool_use':
+                    toolUseTimes.set(block.id, Date.now());
+                    toolUseNames.set(block.id, block.name);
+                    toolCalls.push({ name: block.name, input: block.input });
                     events.mcp_tool_use_count++;
+                    finalAttempt.toolUses++;
+                    record(block.type, block.name);
                     console.log(
-                        `[Stream ${streamId}][${elapsed}ms] 🔧 mcp_tool_use #${events.mcp_tool_use_count}: ${block.name}`
+                        `[Stream ${streamId}][${elapsed}ms] 🔧 ${block.type} #${events.mcp_tool_use_count}: ${block.name}`
                     );
                     break;
 
                 case 'mcp_tool_result':
-                    events.mcp_tool_result_count++;
-                    const size = JSON.stringify(block).length;
-                    console.log(
-                        `[Stream ${streamId}][${elapsed}ms] 📦 mcp_tool_result #${events.mcp_tool_result_count} received (${size} bytes)`
-                    );
+                    noteToolResult(block);
                     break;
 
                 case 'thinking':
@@ -130,12 +513,14 @@ async function testSingleStream(streamId, startDelay = 0) {
 
         stream.on('error', (streamError) => {
             events.stream_error = streamError;
+            record('error', streamError.message);
             console.log(`[Stream ${streamId}][${Date.now() - startTime}ms] ❌ Stream error event:`);
             console.log(`[Stream ${streamId}]    Message:`, streamError.message);
         });
 
         stream.on('abort', (abortError) => {
             events.abort = true;
+            record('abort', abortError?.message);
             console.log(`[Stream ${streamId}][${Date.now() - startTime}ms] ⚠️ Stream abort event`);
             if (abortError) {
                 console.log(`[Stream ${streamId}]    Message:`, abortError.message);
@@ -144,136 +529,480 @@ async function testSingleStream(streamId, startDelay = 0) {
 
         stream.on('end', () => {
             events.completed = true;
+            record('end');
             console.log(`[Stream ${streamId}][${Date.now() - startTime}ms] ✅ Stream end event`);
         });
 
-        // This is where it typically fails
-        await stream.done();
-        console.log(`[Stream ${streamId}][${Date.now() - startTime}ms] ✅ stream.done()`);
+        try {
+            // This is where it typically fails
+            await stream.done();
+            console.log(`[Stream ${streamId}][${Date.now() - startTime}ms] ✅ stream.done()`);
 
-        const finalMessage = await stream.finalMessage();
-        const duration = Date.now() - startTime;
+            const finalMessage = await stream.finalMessage();
+            console.log(`[Stream ${streamId}][${Date.now() - startTime}ms] ✅ stream.finalMessage()`);
+            return finalMessage;
+        } catch (error) {
+            error.partialContent = received;
+            throw error;
+        } finally {
+            openStreams.delete(stream);
+        }
+    };
+
+    const countBlocks = (blocks, type) => blocks.filter((block) => block.type === type).length;
+    const isToolUse = (block) => block.type === 'mcp_tool_use' || block.type === 'tool_use';
+
+    // runTurn, tried again per --recovery when it breaks (see recovery.mjs). Replays never recover.
+    const recoverTurn = (turn, messages, options) => {
+        const baseline = {
+            uses: events.mcp_tool_use_count,
+            results: events.mcp_tool_result_count,
+            errors: events.mcp_tool_error_count,
+            refused: events.mcp_tool_refused_count,
+            authErrors: events.mcp_tool_auth_error_count,
+            calls: toolCalls.length,
+        };
+
+        const onRecover = ({ attempt, error, delay, carried }) => {
+            const brokenViolations = validators.pop().close();
+            const signal = sdkSignal(events);
+            const reason = classifyFailure({ success: false, sdkSignal: signal, error: error.message, violations: brokenViolations });
+            recoveries.push({
+                turn,
+                attempt,
+                failureReason: reason,
+                error: error.message,
+                sdkSignal: signal,
+                violations: brokenViolations,
+                carriedBlocks: carried.length,
+            });
+
+            // The next attempt starts from the carried blocks (resume) or from scratch (retry)
+            events.mcp_tool_use_count = baseline.uses + countBlocks(carried, 'mcp_tool_use');
+            events.mcp_tool_result_count = baseline.results + countBlocks(carried, 'mcp_tool_result');
+            events.mcp_tool_error_count = baseline.errors + carried.filter((block) => block.is_error).length;
+            const carriedRefusals = carried.filter((block) => block.is_error && !readNonce(block.content));
+            events.mcp_tool_refused_count = baseline.refused + carriedRefusals.length;
+            events.mcp_tool_auth_error_count = baseline.authErrors + carriedRefusals.filter((block) => isAuthRejection(errorText(block))).length;
+            toolCalls.splice(baseline.calls, Infinity, ...carried.filter(isToolUse).map((block) => ({ name: block.name, input: block.input })));
+            // The server may still be finishing the broken attempt's calls; only the next attempt's count
+            finalAttempt = { since: Date.now(), toolUses: 0, toolResults: 0, unsignedErrors: 0 };
+            events.stream_error = null;
+            events.abort = false;
+
+            const kept = countBlocks(carried, 'mcp_tool_result');
+            const how = CONFIG.recovery === 'resume' ? `resuming with ${kept} finished tool call(s)` : 'retrying';
+            record('recovery', `attempt ${attempt} ${reason}; ${how} in ${delay}ms`);
+            console.log(
+                `[Stream ${streamId}][${Date.now() - startTime}ms] 🔁 Attempt ${attempt} broke (${reason}` +
+                    `${brokenViolations[0] ? `: ${brokenViolations[0].message}` : ''}); ${how} in ${delay}ms`
+            );
+        };
+
+        return withRecovery((attemptMessages, attempt) => runTurn(turn, attemptMessages, { ...options, attempt }), messages, {
+            strategy: replay ? 'off' : CONFIG.recovery,
+            maxAttempts: CONFIG.recoveryAttempts,
+            backoffMs: CONFIG.recoveryBackoff,
+            onRecover,
+            signal: interruption.signal,
+        });
+    };
+
+    // Client tool mode: call the tools ourselves over MCP, like any tool-using client would
+    const runToolLoop = async (mcp, initialMessages, authorizationToken) => {
+        const { tools } = await mcp.listTools();
+        const messageTools = workflow.tools
+            .map((name) => tools.find((tool) => tool.name === name))
+            .filter(Boolean)
+            .map((tool) => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema }));
+        record('mcp_connect', `${messageTools.length} tools`);
+
+        let messages = initialMessages;
+        for (let turn = 1; ; turn++) {
+            const { result: finalMessage, messages: sent } = await recoverTurn(turn, messages, { tools: messageTools, authorizationToken });
+            const toolUses = finalMessage.content.filter((block) => block.type === 'tool_use');
+
+            // One turn more than the calls asked for is enough for a well-behaved model
+            if (finalMessage.stop_reason !== 'tool_use' || toolUses.length === 0 || turn > workflow.toolCalls || interrupted()) {
+                return finalMessage;
+            }
+
+            const toolResults = [];
+            for (const toolUse of toolUses) {
+                const result = await callMcpTool(mcp, toolUse.name, toolUse.input);
+                const toolResult = { type: 'tool_result', tool_use_id: toolUse.id, is_error: result.is_error, content: toolResultContent(result.content) };
+                noteToolResult(toolResult);
+                toolResults.push(toolResult);
+            }
+            // `sent` includes whatever a resumed turn carried over from its broken attempts
+            messages = [...sent, { role: 'assistant', content: finalMessage.content }, { role: 'user', content: toolResults }];
+        }
+    };
+
+    let mcp;
+    try {
+        const authorizationToken = await mcpToken('stream');
+        const messages = [
+            {
+                role: 'user',
+                content: workflow.prompt,
+            },
+        ];
 
-        console.log(`[Stream ${streamId}][${duration}ms] ✅ stream.finalMessage()`);
+        let finalMessage;
+        if (clientTools) {
+            mcp = await connectMcp(mcpServerUrl(responseSize, correlationId), { token: authorizationToken });
+            finalMessage = await runToolLoop(mcp, messages, authorizationToken);
+        } else {
+            ({ result: finalMessage } = await recoverTurn(1, messages, { authorizationToken }));
+        }
+        const duration = Date.now() - startTime;
 
-        // Success if we got all the tool results back
+        // Success if we got all the tool results back, in well-formed streams. With an expected
+        // sequence, making other calls than expected is drift (the model's doing), not failure.
+        // An error without an integrity nonce is no result: the tool never ran (mcp.mjs signs
+        // whatever its tools return), whether the token was refused or the server was draining.
         const success =
-            events.mcp_tool_use_count === CONFIG.toolCallsPerStream &&
-            events.mcp_tool_result_count === CONFIG.toolCallsPerStream &&
+            (workflow.expect ? true : events.mcp_tool_use_count === workflow.toolCalls) &&
+            events.mcp_tool_result_count === (workflow.expect ? events.mcp_tool_use_count : workflow.toolCalls) &&
+            events.mcp_tool_refused_count === 0 &&
+            violations().length === 0 &&
+            integrityViolations.length === 0 &&
             !events.stream_error &&
             !events.abort;
+        // Only streams that ran to the end say anything about the model
+        const drift = workflow.expect && success ? checkSequence(workflow.expect, toolCalls) : null;
+        if (drift?.length > 0) {
+            record('drift', drift.map((item) => item.message).join('; '));
+            console.log(`[Stream ${streamId}] 🧭 Drift from ${workflow.name}: ${drift.map((item) => item.message).join('; ')}`);
+        }
 
         const verdict = success ? '✅ SUCCESS' : '❌ FAILURE';
-        console.log(`[Stream ${streamId}] ${verdict} - ${events.mcp_tool_result_count}/${CONFIG.toolCallsPerStream} tool results (${duration}ms)\n`);
+        const recovered = recoveries.length > 0 ? `, recovered from ${recoveries.length} broken attempt(s)` : '';
+        console.log(`[Stream ${streamId}] ${verdict} - ${events.mcp_tool_result_count}/${workflow.toolCalls} tool results (${duration}ms${recovered})\n`);
 
-        return {
+        return await finish({
             streamId,
             success,
             duration,
             stopReason: finalMessage.stop_reason,
             toolCallsMade: events.mcp_tool_use_count,
             toolResultsReceived: events.mcp_tool_result_count,
-        };
+            toolErrors: events.mcp_tool_error_count,
+            toolAuthErrors: events.mcp_tool_auth_error_count,
+            toolRefusals: events.mcp_tool_refused_count,
+            ...(drift && { drift }),
+        });
     } catch (error) {
         const duration = Date.now() - startTime;
 
+        record('exception', error.message);
         console.log(`[Stream ${streamId}][${duration}ms] ❌ Exception: ${error.message}`);
         console.log(
             `[Stream ${streamId}] 🎯 Made ${events.mcp_tool_use_count} calls, received ${events.mcp_tool_result_count} results`
         );
         console.log(`[Stream ${streamId}] ❌ FAILURE\n`);
 
-        return {
+        return await finish({
             streamId,
             success: false,
             duration,
             error: error.message,
             toolCallsMade: events.mcp_tool_use_count,
             toolResultsReceived: events.mcp_tool_result_count,
-        };
+            toolErrors: events.mcp_tool_error_count,
+            toolAuthErrors: events.mcp_tool_auth_error_count,
+            toolRefusals: events.mcp_tool_refused_count,
+        });
+    } finally {
+        await closeMcp(mcp);
     }
 }
 
-async function testConcurrentStreams(iteration) {
+// A failed result for a stream whose run threw instead of reporting - a harness bug, not a stream failure
+function crashedStream(streamId, error, { iteration, responseSize }) {
+    console.log(`[Stream ${streamId}] ❌ Crashed: ${error.stack ?? error.message}\n`);
+    const usage = sumUsage([]);
+    const startedAt = Date.now();
+    return {
+        streamId,
+        success: false,
+        duration: 0,
+        error: error.message,
+        toolCallsMade: 0,
+        toolResultsReceived: 0,
+        toolErrors: 0,
+        correlationId: correlationIdFor(RUN_ID, iteration, streamId, responseSize),
+        workflow: CONFIG.workflows ? workflowFor(CONFIG.workflows, streamId).name : 'default',
+        expectedToolCalls: CONFIG.toolCallsPerStream,
+        startedAt,
+        violations: [],
+        diagnosis: null,
+        injectedFault: 'none',
+        sdkSignal: 'none',
+        failureReason: 'exception',
+        timeline: [{ t: 0, type: 'exception', detail: error.message }],
+        usage,
+        costUsd: estimateCost(usage, CONFIG.price),
+        finalAttempt: { since: startedAt, toolUses: 0, toolResults: 0, unsignedErrors: 0, recovered: false },
+    };
+}
+
+async function testConcurrentStreams(iteration, responseSize = CONFIG.responseSize) {
+    // Start offsets for every stream of this iteration (see load-profile.mjs)
+    const schedule = streamSchedule(CONFIG.loadProfile, CONFIG.concurrentStreams);
+    const streamCount = schedule.length;
+
     console.log(`\n${'='.repeat(70)}`);
     console.log(
-        `ITERATION #${iteration}: ${CONFIG.concurrentStreams} concurrent streams, ${CONFIG.toolCallsPerStream} calls each`
+        `ITERATION #${iteration}: ${streamCount} streams, ` +
+            (CONFIG.workflows ? `workflows ${CONFIG.workflows.map((workflow) => workflow.name).join(', ')}` : `${CONFIG.toolCallsPerStream} calls each`) +
+            (responseSize ? `, ${formatSize(responseSize)} responses` : '')
     );
     console.log('='.repeat(70));
 
-    if (!CONFIG.anthropicApiKey) {
-        console.error('❌ ERROR: ANTHROPIC_API_KEY not set');
-        process.exit(1);
-    }
-
-    if (!CONFIG.mcpUrl) {
-        console.error('❌ ERROR: MCP_URL not set');
-        process.exit(1);
+    if (CONFIG.loadProfile.type === 'burst') {
+        console.log(`\nFiring ${streamCount} concurrent streams ALL AT ONCE...`);
+        console.log(`Each stream will call tools in random order`);
+        console.log(`All streams start simultaneously = MAXIMUM race condition potential`);
+    } else {
+        console.log(`\nStarting ${streamCount} streams: ${describeLoadProfile(CONFIG.loadProfile)}, last one at ${schedule.at(-1)}ms`);
     }
-
     console.log(
-        `\nFiring ${CONFIG.concurrentStreams} concurrent streams ALL AT ONCE...`
-    );
-    console.log(`Each stream will call tools in random order`);
-    console.log(`All streams start simultaneously = MAXIMUM race condition potential`);
-    console.log(
-        `This hammers the shared MCP server with ${CONFIG.concurrentStreams} concurrent requests!\n`
+        `Up to ${Math.min(streamCount, CONFIG.maxInFlight ?? Infinity)} streams in flight against the MCP server at once\n`
     );
 
-    const startTime = Date.now();
+    // Refreshes the MCP token when --token-refresh is 'iteration'
+    await mcpToken('iteration');
 
-    // Launch streams with NO STAGGER - all at once!
-    // With random tool ordering, this creates maximum concurrent load
-    // All 10 streams will start simultaneously and race on the shared server
-    const streamPromises = Array.from({ length: CONFIG.concurrentStreams }, (_, i) =>
-        testSingleStream(i + 1, 0) // All start at 0ms = maximum contention!
-    );
+    const startTime = Date.now();
 
-    const results = await Promise.all(streamPromises);
+    // With the default burst profile every offset is 0 - maximum contention
+    const { results, peakInFlight, skipped } = await runSchedule(schedule, {
+        maxInFlight: CONFIG.maxInFlight,
+        stop: () => budgetReached() || interrupted(),
+        signal: interruption.signal,
+        start: async (streamId, { offset, lag, queued }) => {
+            if (queued) {
+                console.log(`[Stream ${streamId}] Started ${lag}ms late (--max-in-flight ${CONFIG.maxInFlight} reached)`);
+            }
+            const result = await testSingleStream(streamId, 0, responseSize, { iteration });
+            return { ...result, scheduledAt: offset, startLag: lag };
+        },
+        failed: (streamId, error) => crashedStream(streamId, error, { iteration, responseSize }),
+    });
     const totalDuration = Date.now() - startTime;
+    const serverToolTimings = await fetchServerToolTimings(startTime);
 
     // Analyze results
     const successCount = results.filter((r) => r.success).length;
-    const failureCount = results.filter((r) => !r.success).length;
+    const failureCount = results.filter((r) => !r.success && !r.interrupted).length;
+    const interruptedCount = results.filter((r) => r.interrupted).length;
 
     console.log('='.repeat(70));
     console.log(`ITERATION #${iteration} RESULTS:`);
     console.log('='.repeat(70));
     console.log(`Total duration: ${totalDuration}ms`);
-    console.log(`Successful streams: ${successCount}/${CONFIG.concurrentStreams}`);
-    console.log(`Failed streams: ${failureCount}/${CONFIG.concurrentStreams}\n`);
+    console.log(`Peak streams in flight: ${peakInFlight}`);
+    console.log(`Successful streams: ${successCount}/${results.length}`);
+    console.log(`Failed streams: ${failureCount}/${results.length}`);
+    if (interruptedCount > 0) {
+        console.log(`⏹️ Interrupted streams: ${interruptedCount}/${results.length}`);
+    }
+    if (skipped > 0) {
+        console.log(
+            interrupted()
+                ? `⏹️ Interrupted: ${skipped}/${streamCount} streams not started`
+                : `💸 Budget of ${formatCost(CONFIG.budgetUsd)} reached: ${skipped}/${streamCount} streams not started`
+        );
+    }
+    console.log('');
 
     results.forEach((result) => {
         const icon = result.success ? '✅' : '❌';
+        const reason = result.failureReason ? ` [${result.failureReason}]` : '';
+        const authErrors = result.toolAuthErrors ? `, ${result.toolAuthErrors} auth` : '';
+        const refused = result.toolRefusals ? `, ${result.toolRefusals} refused` : '';
+        const toolErrors = result.toolErrors ? ` (${result.toolErrors} tool errors${refused}${authErrors})` : '';
+        const recovered = result.recoveries ? ` 🔁 ${result.recoveries.length} recovery(ies)` : '';
+        const workflow = CONFIG.workflows ? ` (${result.workflow})` : '';
+        const drift = result.drift?.length > 0 ? ` 🧭 drifted` : '';
         console.log(
-            `  Stream ${result.streamId}: ${icon} ${result.toolResultsReceived}/${CONFIG.toolCallsPerStream} results${result.error ? ` - ${result.error}` : ''}`
+            `  Stream ${result.streamId}${workflow}: ${icon} ${result.toolResultsReceived}/${result.expectedToolCalls} results${toolErrors}${recovered}${drift}${reason}${result.error ? ` - ${result.error}` : ''}`
         );
     });
+    if (CONFIG.workflows) {
+        console.log(`\nWorkflows:\n${describeWorkflows(summarizeWorkflows(results))}`);
+    }
+
+    const faulted = results.filter((r) => r.injectedFault && r.injectedFault !== 'none');
+    if (faulted.length > 0) {
+        console.log('\nInjected faults (fault → SDK signal):');
+        const faults = [...new Set(faulted.map((r) => r.injectedFault))];
+        for (const fault of faults) {
+            const faultResults = faulted.filter((r) => r.injectedFault === fault);
+            const summary = ['error', 'abort', 'none']
+                .map((signal) => `${signal}: ${faultResults.filter((r) => r.sdkSignal === signal).length}`)
+                .join(', ');
+            console.log(`  ${fault}: ${summary}`);
+        }
+
+        // The README bug: the stream broke but the SDK never said so
+        const silent = faulted.filter((r) => !r.success && r.sdkSignal === 'none');
+        if (silent.length > 0) {
+            console.log(
+                `\n⚠️ ${silent.length} stream(s) failed with no error or abort event: ${silent.map((r) => `#${r.streamId} (${r.injectedFault})`).join(', ')}`
+            );
+        }
+    }
+
+    const metrics = summarizeStreams(results, { durationMs: totalDuration, serverTimings: serverToolTimings ?? undefined });
+    console.log('\n' + formatMetrics(metrics));
+
+    const usage = sumUsage(results.map((result) => result.usage));
+    const costUsd = estimateCost(usage, CONFIG.price);
+    console.log(formatUsage(usage, costUsd) + ` (run so far: ${formatCost(CONFIG.price ? runCostUsd : null)})`);
+
+    // Which stream's MCP requests the server saw, and whether every result made it back
+    const routing = serverToolTimings ? checkRouting(results, serverToolTimings) : null;
+    if (routing) {
+        console.log('\n' + describeRouting(routing));
+    }
+    const timeline = CONFIG.timeline ? mergeTimeline(results, serverToolTimings ?? [], startTime) : null;
+    if (timeline) {
+        console.log(`\nMerged timeline (streams and MCP server):\n${formatMergedTimeline(timeline)}`);
+    }
 
     return {
         iteration,
+        responseSize,
+        startedAt: startTime,
         successCount,
         failureCount,
+        interruptedCount,
         totalDuration,
+        peakInFlight,
+        skipped,
+        metrics,
+        usage,
+        costUsd,
+        serverToolTimings,
+        routing,
+        ...(timeline && { timeline }),
         results,
     };
 }
 
 
+/*
+ * What the run says about the hypothesis that sharing one McpServer across transports
+ * misroutes responses between concurrent streams - depends on which mode mcp.mjs ran in.
+ */
+function raceHypothesis(serverInstance, failed) {
+    if (serverInstance === 'shared') {
+        return failed
+            ? `
+The MCP server shared one instance across transports (MCP_SERVER_INSTANCE=shared),
+so responses may have been misrouted when server.connect(transport) replaced the
+transport of a stream still in flight. Re-run with MCP_SERVER_INSTANCE=per-request:
+if the failures go away, the shared instance is the cause.
+`
+            : `
+The MCP server shared one instance across transports (MCP_SERVER_INSTANCE=shared),
+and still no responses were misrouted at this load.
+`;
+    }
+    if (serverInstance === 'per-request') {
+        return failed
+            ? `
+The MCP server created a new instance per request (MCP_SERVER_INSTANCE=per-request),
+so a shared instance racing on server.connect(transport) is NOT the cause here.
+Look at the stream diagnoses above instead.
+`
+            : `
+The MCP server created a new instance per request (MCP_SERVER_INSTANCE=per-request).
+Re-run against MCP_SERVER_INSTANCE=shared to test the shared-instance race.
+`;
+    }
+    return `
+The MCP server did not report its instance mode (not mcp.mjs?), so this run says
+nothing about the shared-instance race.
+`;
+}
+
+/*
+ * What the correlation ids (see correlation.mjs) and the signed tool results (see
+ * integrity.mjs) say about misrouting, across all iterations.
+ */
+function routingEvidence(iterations) {
+    const checked = iterations.filter((iteration) => iteration.routing);
+    if (checked.length === 0) {
+        return 'Correlation ids: the MCP server reported no tool calls (not mcp.mjs?), so routing was not checked.';
+    }
+    const mismatched = checked.flatMap((iteration) => iteration.routing.mismatched.map((streamId) => `#${iteration.iteration}/${streamId}`));
+    const lines = [
+        mismatched.length === 0
+            ? 'Correlation ids: every stream got as many tool results as the server ran calls for it.'
+            : `Correlation ids: ${mismatched.length} stream(s) don't match the tool calls the server ran for them ` +
+              `(iteration/stream ${mismatched.join(', ')}) - see the routing lines above, or re-run with --timeline.`,
+    ];
+
+    if (MCP_SERVER.integrity) {
+        const violations = iterations.flatMap((iteration) => iteration.results.flatMap((result) => result.integrityViolations ?? []));
+        const foreign = violations.filter((violation) => violation.reason === 'wrong_stream').length;
+        lines.push(
+            violations.length === 0
+                ? 'Integrity: every tool result was signed for the stream that received it - no responses were misrouted.'
+                : `Integrity: ${violations.length} tool result(s) failed their check, ${foreign} of them signed for another stream` +
+                      (foreign > 0 ? ' - responses WERE misrouted.' : '.')
+        );
+    }
+    return lines.join('\n');
+}
+
+// Whether the model kept to the scenario's expected sequences - reported apart from the failures
+function driftEvidence(workflows) {
+    const entries = Object.values(workflows);
+    const checked = entries.reduce((sum, entry) => sum + entry.checked, 0);
+    const drifted = entries.reduce((sum, entry) => sum + entry.drifted, 0);
+    if (checked === 0) {
+        return 'Drift: no stream with an expected sequence ran to the end, so the model was not checked.';
+    }
+    return drifted === 0
+        ? `Drift: all ${checked} checked stream(s) made the tool calls their workflow expects.`
+        : `Drift: ${drifted}/${checked} checked stream(s) strayed from their workflow's expected calls ` +
+              `(${Object.entries(workflows).filter(([, entry]) => entry.drifted > 0).map(([name, entry]) => `${name}: ${entry.drifted}`).join(', ')}) - ` +
+              'the model, not the transport; not counted as failures.';
+}
+
 // Run multiple iterations
 async function runTests() {
     console.log('Running concurrent + sequential test...\n');
 
+    const startedAt = Date.now();
     const allResults = [];
 
     for (let i = 1; i <= CONFIG.iterations; i++) {
         const result = await testConcurrentStreams(i);
         allResults.push(result);
 
-        // Wait 3 seconds between iterations
-        if (i < CONFIG.iterations) {
-            console.log('\n⏳ Waiting 3 seconds before next iteration...\n');
-            await new Promise((resolve) => setTimeout(resolve, 3000));
+        if (interrupted()) {
+            console.log(`\n⏹️ Interrupted by ${interruptedBy} during iteration ${i} - stopping the run`);
+            break;
+        }
+        if (budgetReached()) {
+            console.log(`\n💸 Budget of ${formatCost(CONFIG.budgetUsd)} reached after iteration ${i} - stopping the run`);
+            break;
+        }
+
+        // Let the servers settle between iterations
+        if (i < CONFIG.iterations && CONFIG.iterationDelay > 0) {
+            console.log(`\n⏳ Waiting ${CONFIG.iterationDelay / 1000} seconds before next iteration...\n`);
+            await sleep(CONFIG.iterationDelay, interruption.signal);
+            if (interrupted()) {
+                console.log(`⏹️ Interrupted by ${interruptedBy} before iteration ${i + 1} - stopping the run`);
+                break;
+            }
         }
     }
 
@@ -282,26 +1011,45 @@ async function runTests() {
     console.log('OVERALL SUMMARY');
     console.log('='.repeat(70));
 
-    const totalStreams = CONFIG.iterations * CONFIG.concurrentStreams;
+    // Streams cut off by an interruption are left out of the verdict
+    const totalInterrupted = allResults.reduce((sum, r) => sum + r.interruptedCount, 0);
+    const totalStreams = allResults.reduce((sum, r) => sum + r.results.length, 0) - totalInterrupted;
     const totalSuccesses = allResults.reduce((sum, r) => sum + r.successCount, 0);
     const totalFailures = allResults.reduce((sum, r) => sum + r.failureCount, 0);
 
-    console.log(`\nTotal iterations: ${CONFIG.iterations}`);
-    console.log(`Concurrent streams per iteration: ${CONFIG.concurrentStreams}`);
-    console.log(`Tool calls per stream: ${CONFIG.toolCallsPerStream}`);
-    console.log(`Total streams tested: ${totalStreams}`);
+    const stoppedBy = interrupted() ? `interrupted by ${interruptedBy}` : 'budget reached';
+    console.log(`\nTotal iterations: ${allResults.length}${allResults.length < CONFIG.iterations ? ` of ${CONFIG.iterations} (${stoppedBy})` : ''}`);
+    console.log(`Streams per iteration: ${Math.round((totalStreams + totalInterrupted) / allResults.length)} (${describeLoadProfile(CONFIG.loadProfile)})`);
+    console.log(
+        CONFIG.workflows
+            ? `Workflows: ${CONFIG.workflows.map((workflow) => `${workflow.name} x${workflow.weight ?? 1}`).join(', ')}`
+            : `Tool calls per stream: ${CONFIG.toolCallsPerStream}`
+    );
+    console.log(`Total streams tested: ${totalStreams}${totalInterrupted > 0 ? ` (+${totalInterrupted} interrupted)` : ''}`);
     console.log(
-        `Successes: ${totalSuccesses}/${totalStreams} (${Math.round((totalSuccesses / totalStreams) * 100)}%)`
+        `Successes: ${totalSuccesses}/${totalStreams} (${percent(totalSuccesses, totalStreams)}%)`
     );
     console.log(
-        `Failures: ${totalFailures}/${totalStreams} (${Math.round((totalFailures / totalStreams) * 100)}%)`
+        `Failures: ${totalFailures}/${totalStreams} (${percent(totalFailures, totalStreams)}%)`
     );
 
+    const report = buildReport({
+        config: CONFIG,
+        mode: 'run',
+        mcpServer: MCP_SERVER,
+        startedAt,
+        iterations: allResults,
+        interruptedBy,
+    });
+    console.log('\n' + formatMetrics(report.summary.metrics));
+    console.log(formatUsage(report.summary.usage, report.summary.usage.costUsd));
+
     console.log('\nResults by iteration:');
     allResults.forEach((result) => {
-        const rate = Math.round((result.successCount / CONFIG.concurrentStreams) * 100);
+        const finished = result.results.length - result.interruptedCount;
         console.log(
-            `  Iteration ${result.iteration}: ${result.successCount}/${CONFIG.concurrentStreams} succeeded (${rate}%)`
+            `  Iteration ${result.iteration}: ${result.successCount}/${finished} succeeded (${percent(result.successCount, finished)}%)` +
+                (result.interruptedCount > 0 ? `, ${result.interruptedCount} interrupted` : '')
         );
     });
 
@@ -309,20 +1057,27 @@ async function runTests() {
     console.log('CONCLUSION');
     console.log('='.repeat(70));
 
-    if (totalFailures === 0) {
-        console.log(`
-✅ NO BUG DETECTED
+    console.log(`\nMCP server instance: ${MCP_SERVER.serverInstance} (transport: ${MCP_SERVER.transport})`);
+    console.log(routingEvidence(allResults));
+    if (report.summary.workflows) {
+        console.log(driftEvidence(report.summary.workflows));
+    }
 
-All ${totalStreams} concurrent streams succeeded, each making ${CONFIG.toolCallsPerStream} sequential tool calls.
+    if (interrupted()) {
+        console.log(`\n⏹️ Interrupted by ${interruptedBy}: ${totalInterrupted} stream(s) were aborted and are left out - the verdict covers ${totalStreams} finished stream(s).`);
+    }
 
-This suggests the MCP server properly handles:
-- Concurrent streams from multiple clients
-- Sequential tool calls within each stream
-- Shared server instance with multiple transports
+    if (totalStreams === 0) {
+        console.log('\nNo stream finished before the run was interrupted - no verdict.\n');
+    } else if (totalFailures === 0) {
+        console.log(`
+✅ NO BUG DETECTED
 
+All ${totalStreams} concurrent streams succeeded, each making ${CONFIG.workflows ? 'the' : CONFIG.toolCallsPerStream} sequential tool calls${CONFIG.workflows ? ' its workflow asks for' : ''}.
+${raceHypothesis(MCP_SERVER.serverInstance, false)}
 The production bug might be caused by:
-- Higher concurrency levels (try increasing concurrentStreams)
-- Longer tool execution times (try increasing delay in mcp.mjs)
+- Higher concurrency levels (try a higher --concurrency)
+- Longer tool execution times (try more latency in the tool catalog)
 - Specific tool combinations (not just get-data)
 - Network/infrastructure issues specific to production
 `);
@@ -330,46 +1085,218 @@ The production bug might be caused by:
         console.log(`
 🎯 BUG CONSISTENTLY REPRODUCED!
 
-ALL ${totalStreams} streams failed across ${CONFIG.iterations} iterations!
-
-This confirms a critical bug when:
-- Multiple streams run concurrently
-- Each stream makes multiple sequential tool calls
-- All share the same MCP server instance
-
-Pattern: Responses are misrouted between concurrent streams when the
-shared server instance calls server.connect(transport) with different transports.
-
-THE FIX: Create a new MCP server instance per request in mcp.mjs
-`);
+ALL ${totalStreams} streams failed across ${allResults.length} iterations, with:
+- Multiple streams running concurrently
+- Each stream making multiple sequential tool calls
+${raceHypothesis(MCP_SERVER.serverInstance, true)}`);
     } else {
-        const failureRate = Math.round((totalFailures / totalStreams) * 100);
+        const failureRate = percent(totalFailures, totalStreams);
         console.log(`
 ⚠️ BUG INTERMITTENTLY REPRODUCED (${failureRate}% failure rate)
 
-Failed ${totalFailures}/${totalStreams} streams across ${CONFIG.iterations} iterations.
+Failed ${totalFailures}/${totalStreams} streams across ${allResults.length} iterations.
 
-This matches production! The race condition is timing-dependent:
+This matches production - the failure is timing-dependent:
 - Some streams complete before others start → succeed
-- Some streams overlap and race on shared server → fail
+- Some streams overlap → fail
+${raceHypothesis(MCP_SERVER.serverInstance, true)}`);
+    }
 
-This proves the bug exists with:
-- Concurrent streams hitting shared MCP server
-- Multiple tool calls per stream
-- Timing-dependent failures (just like production!)
+    console.log('='.repeat(70) + '\n');
 
-THE FIX: Create a new MCP server instance per request instead of sharing one.
-`);
+    await writeReports(report, CONFIG);
+
+    // Exit with appropriate code
+    process.exit(exitCode(totalFailures > 0));
+}
+
+// Run every iteration at each response size and report where failures start
+async function runSizeSweep() {
+    console.log('Running response size sweep...\n');
+
+    const startedAt = Date.now();
+    const allResults = [];
+    const sweepResults = [];
+
+    for (const responseSize of CONFIG.sizeSweep) {
+        let failures = 0;
+        let streams = 0;
+        for (let i = 1; i <= CONFIG.iterations && !stopReason(); i++) {
+            const result = await testConcurrentStreams(i, responseSize);
+            allResults.push(result);
+            failures += result.failureCount;
+            streams += result.results.length - result.interruptedCount;
+        }
+        sweepResults.push({ responseSize, failures, streams });
+
+        const stopped = stopReason();
+        if (stopped) {
+            console.log(`\n${interrupted() ? '⏹️' : '💸'} ${stopped} at ${formatSize(responseSize)} - stopping the sweep`);
+            break;
+        }
     }
 
+    console.log('\n\n' + '='.repeat(70));
+    console.log('SIZE SWEEP SUMMARY');
     console.log('='.repeat(70) + '\n');
 
-    // Exit with appropriate code
-    process.exit(totalFailures > 0 ? 1 : 0);
+    sweepResults.forEach(({ responseSize, failures, streams }) => {
+        const icon = failures === 0 ? '✅' : '❌';
+        const rate = percent(failures, streams);
+        console.log(`  ${formatSize(responseSize).padStart(8)}: ${icon} ${failures}/${streams} failed (${rate}%)`);
+    });
+
+    const threshold = sweepResults.find((r) => r.failures > 0);
+    console.log(
+        threshold
+            ? `\n🎯 Failures start at ${formatSize(threshold.responseSize)} (${threshold.responseSize} bytes)`
+            : `\n✅ No failures up to ${formatSize(sweepResults.at(-1).responseSize)}`
+    );
+    console.log('='.repeat(70) + '\n');
+
+    const report = buildReport({
+        config: CONFIG,
+        mode: 'size-sweep',
+        mcpServer: MCP_SERVER,
+        startedAt,
+        iterations: allResults,
+        interruptedBy,
+        sweep: { results: sweepResults, failureThreshold: threshold?.responseSize ?? null },
+    });
+    await writeReports(report, CONFIG);
+
+    process.exit(exitCode(threshold));
+}
+
+// Shrink the run's settings to the smallest setup that still fails, and save it as a --config file
+async function runBisect() {
+    console.log('Running bisection...\n');
+
+    const startedAt = Date.now();
+    const allResults = [];
+    const initial = Object.fromEntries(BISECT_DIMENSIONS.map(({ key }) => [key, CONFIG[key]]));
+    const start = startingPoint(CONFIG, await loadToolCatalog(CONFIG.toolCatalog));
+
+    console.log(`Starting from: ${describePoint(start)}`);
+    console.log(`A point fails when at least ${CONFIG.bisectThreshold}% of its streams fail over ${CONFIG.bisectRepeat} iteration(s)\n`);
+
+    // Every point runs with its own settings; testConcurrentStreams reads them from CONFIG
+    const measure = async (point) => {
+        Object.assign(CONFIG, point);
+        let failures = 0;
+        let streams = 0;
+        for (let i = 1; i <= CONFIG.bisectRepeat; i++) {
+            // A point cut short would look like a pass, so the search stops instead
+            if (stopReason()) {
+                throw new RunStoppedError(stopReason());
+            }
+            const result = await testConcurrentStreams(i, point.responseSize);
+            allResults.push({ ...result, bisectPoint: point });
+            if (interrupted()) {
+                throw new RunStoppedError(stopReason());
+            }
+            failures += result.failureCount;
+            streams += result.results.length;
+        }
+        return { failures, streams };
+    };
+
+    const measurements = [];
+    let minimal = null;
+    try {
+        ({ minimal } = await bisect(start, {
+            measure,
+            threshold: CONFIG.bisectThreshold / 100,
+            onMeasured: (measurement) => {
+                const { point, failures, streams, failureRate, fails } = measurement;
+                measurements.push(measurement);
+                console.log(
+                    `\n🔎 ${describePoint(point)}: ${failures}/${streams} failed (${Math.round(failureRate * 100)}%) → ${fails ? '❌ fails' : '✅ passes'}\n`
+                );
+            },
+        }));
+    } catch (error) {
+        if (!(error instanceof RunStoppedError)) {
+            throw error;
+        }
+        console.log(`\n${interrupted() ? '⏹️' : '💸'} ${error.message} - stopping the search`);
+    }
+    Object.assign(CONFIG, initial);
+
+    console.log('\n\n' + '='.repeat(70));
+    console.log('BISECTION SUMMARY');
+    console.log('='.repeat(70) + '\n');
+
+    measurements.forEach(({ point, failures, streams, failureRate, fails }) => {
+        const icon = fails ? '❌' : '✅';
+        console.log(`  ${icon} ${describePoint(point)}: ${failures}/${streams} failed (${Math.round(failureRate * 100)}%)`);
+    });
+
+    if (minimal) {
+        const rate = Math.round(minimal.failureRate * 100);
+        console.log(`\n🎯 Smallest failing setup: ${describePoint(minimal.point)} (${rate}% of ${minimal.streams} streams failed)`);
+
+        const scenario = configFile(
+            { ...CONFIG, ...minimal.point, iterations: CONFIG.bisectRepeat },
+            `Smallest failing setup found by --bisect on ${new Date().toISOString()}: ${rate}% of ${minimal.streams} streams failed`
+        );
+        await mkdir(dirname(CONFIG.bisectOutput), { recursive: true });
+        await writeFile(CONFIG.bisectOutput, JSON.stringify(scenario, null, 2) + '\n');
+        console.log(`📝 Scenario written: ${CONFIG.bisectOutput} (re-run it with --config ${CONFIG.bisectOutput})`);
+    } else if (stopReason()) {
+        console.log(`\n${interrupted() ? '⏹️' : '💸'} ${stopReason()} before the search finished - no scenario written.`);
+    } else {
+        console.log(`\n✅ The starting point doesn't fail at ${CONFIG.bisectThreshold}% - nothing to shrink. Start from a bigger setup.`);
+    }
+    console.log('='.repeat(70) + '\n');
+
+    const report = buildReport({
+        config: CONFIG,
+        mode: 'bisect',
+        mcpServer: MCP_SERVER,
+        startedAt,
+        iterations: allResults,
+        interruptedBy,
+        bisect: { start, threshold: CONFIG.bisectThreshold, minimal, measurements },
+    });
+    await writeReports(report, CONFIG);
+
+    process.exit(exitCode(minimal));
+}
+
+// Feed one capture back through the SDK, no network involved
+async function runReplay() {
+    const capture = await readCapture(CONFIG.replay);
+    console.log(`=== REPLAY: ${CONFIG.replay} ===`);
+    console.log(`Captured ${capture.meta.startedAt}, ${capture.frames.length} frames` +
+        (capture.end.error ? `, ended with: ${capture.end.error}` : '') + '\n');
+
+    // What the raw bytes say, before the SDK gets to parse them
+    const frameViolations = validateFrames(capture.frames);
+    console.log(
+        frameViolations.length > 0
+            ? `🩺 Raw frames: ${frameViolations.map((v) => v.message).join('; ')}\n`
+            : '🩺 Raw frames: well-formed\n'
+    );
+
+    // Judge the stream by what it was asked to do when it was recorded
+    CONFIG.toolCallsPerStream = capture.meta.toolCallsPerStream ?? CONFIG.toolCallsPerStream;
+    CONFIG.workflows = null;
+
+    const result = await testSingleStream(capture.meta.streamId ?? 1, 0, undefined, {
+        iteration: capture.meta.iteration,
+        replay: capture,
+    });
+
+    console.log(`Replay result: ${result.success ? '✅ SUCCESS' : `❌ FAILURE [${result.failureReason}]`}`);
+    if (result.diagnosis) {
+        console.log(`Diagnosis: ${result.diagnosis}`);
+    }
+    process.exit(exitCode(!result.success));
 }
 
 // Run
-runTests().catch((error) => {
+(CONFIG.replay ? runReplay() : CONFIG.bisect ? runBisect() : CONFIG.sizeSweep ? runSizeSweep() : runTests()).catch((error) => {
     console.error('\nFatal error:', error);
     process.exit(1);
 });
@@ -0,0 +1,126 @@
+/*
+ * Bearer authentication for the MCP endpoint
+ *
+ *   none    no checks (default)
+ *   static  every request needs `Authorization: Bearer <MCP_AUTH_TOKEN>`
+ *   oauth   tokens come from a local OAuth-style issuer (POST /oauth/token, client_credentials
+ *           grant) and expire after MCP_TOKEN_TTL_MS - a TTL shorter than a stream makes the
+ *           token expire between tool calls of that stream
+ *
+ * The client half (`fetchToken`) is what anthropic.mjs uses to get tokens from the issuer.
+ * The middleware logs through `req.log`, the request logger mcp.mjs attaches.
+ */
+
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+
+export const AUTH_MODES = ['none', 'static', 'oauth'];
+
+export const bearerToken = (req) => /^Bearer\s+(.+)$/i.exec(req.get('authorization') ?? '')?.[1];
+
+const sameSecret = (a, b) => a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/*
+ * Issues opaque tokens valid for `ttlMs`. `check(token)` returns null for a valid token,
+ * otherwise why it was rejected ('missing', 'expired' or 'invalid').
+ */
+export function createTokenIssuer({ ttlMs }) {
+    const expiries = new Map();
+
+    const issue = () => {
+        // Forget tokens that expired long enough ago that nobody should still be using them
+        const now = Date.now();
+        for (const [token, expiresAt] of expiries) {
+            if (expiresAt < now - ttlMs) {
+                expiries.delete(token);
+            }
+        }
+
+        const token = randomBytes(24).toString('base64url');
+        expiries.set(token, now + ttlMs);
+        return { access_token: token, token_type: 'Bearer', expires_in: Math.ceil(ttlMs / 1000) };
+    };
+
+    const check = (token) => {
+        if (!token) {
+            return 'missing';
+        }
+        if (!expiries.has(token)) {
+            return 'invalid';
+        }
+        return expiries.get(token) <= Date.now() ? 'expired' : null;
+    };
+
+    return { issue, check };
+}
+
+export const staticTokenCheck = (expected) => (token) => {
+    if (!token) {
+        return 'missing';
+    }
+    return sameSecret(token, expected) ? null : 'invalid';
+};
+
+/*
+ * Express middleware rejecting requests whose bearer token `check` refuses, with a
+ * JSON-RPC error body and the WWW-Authenticate header MCP clients look for.
+ */
+export const requireBearer = (check) => (req, res, next) => {
+    const reason = check(bearerToken(req));
+    if (!reason) {
+        next();
+        return;
+    }
+
+    req.log.warn('Rejected request', { method: req.method, path: req.baseUrl || req.path, reason: `${reason} token` });
+    res.set(
+        'WWW-Authenticate',
+        reason === 'missing' ? 'Bearer' : `Bearer error="invalid_token", error_description="Token ${reason}"`
+    );
+    res.status(401).json({
+        jsonrpc: '2.0',
+        error: {
+            code: -32001,
+            message: `Unauthorized: ${reason} token`,
+        },
+        id: null,
+    });
+};
+
+/*
+ * Token endpoint for the issuer. With `clientSecret` set, requests must send it as
+ * client_secret (form or JSON body).
+ */
+export const tokenEndpoint = (issuer, { clientSecret } = {}) => (req, res) => {
+    const { grant_type: grantType, client_secret: secret } = req.body ?? {};
+
+    if (grantType !== 'client_credentials') {
+        res.status(400).json({ error: 'unsupported_grant_type' });
+        return;
+    }
+    if (clientSecret && !(typeof secret === 'string' && sameSecret(secret, clientSecret))) {
+        res.status(401).json({ error: 'invalid_client' });
+        return;
+    }
+
+    const token = issuer.issue();
+    req.log.info('Issued token', { expiresIn: token.expires_in });
+    res.json(token);
+};
+
+// Client side: get a fresh token from a tokenEndpoint
+export async function fetchToken(tokenUrl, { clientSecret } = {}) {
+    const response = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ grant_type: 'client_credentials', ...(clientSecret && { client_secret: clientSecret }) }),
+        signal: AbortSignal.timeout(5000),
+    });
+    if (!response.ok) {
+        throw new Error(`Token request to ${tokenUrl} failed: HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+// Client side: whether a refused tool call (an error result without an integrity nonce) was refused for its token
+// (HTTP 401, as requireBearer answers). Only labels the refusal; the missing nonce is what fails the stream.
+export const isAuthRejection = (message) => /\bHTTP 401\b|\bUnauthorized\b|invalid_token/i.test(message);
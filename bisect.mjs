@@ -0,0 +1,107 @@
+/*
+ * Bisection: the smallest setup that still fails
+ *
+ * Starting from a point that fails (the run's settings), each dimension in turn is shrunk to
+ * the smallest value that still fails, with the others held at what has been found so far:
+ *
+ *   concurrentStreams    streams per iteration             linear, down to 1
+ *   toolCallsPerStream   tool calls each stream makes      linear, down to 1
+ *   responseSize         every tool's response size        geometric, down to 1KB
+ *   toolLatency          every tool's latency (ms)         geometric, down to 0
+ *
+ * A point "fails" when its failure rate over the repeats is at least the threshold. Linear
+ * dimensions end on the exact value, geometric ones within a factor of 2 - plenty for sizes
+ * and latencies, and a handful of points instead of dozens. Failures are timing-dependent, so
+ * each measured point is kept and reported, not just the answer.
+ */
+
+import { formatSize } from './utils.mjs';
+
+export const BISECT_DIMENSIONS = [
+    { key: 'concurrentStreams', label: 'concurrency', min: 1, scale: 'linear', format: String },
+    { key: 'toolCallsPerStream', label: 'tool calls', min: 1, scale: 'linear', format: String },
+    { key: 'responseSize', label: 'response size', min: 1024, scale: 'geometric', format: formatSize },
+    { key: 'toolLatency', label: 'tool latency', min: 0, scale: 'geometric', format: (ms) => `${ms}ms` },
+];
+
+// The largest latency a catalog entry can produce (roughly, for normal distributions)
+const latencyCeiling = (latency) => {
+    switch (latency.type) {
+        case 'uniform':
+            return latency.max;
+        case 'normal':
+            return Math.round(latency.mean + 2 * latency.jitter);
+        default:
+            return latency.ms;
+    }
+};
+
+// Where the search starts: the run's settings, with the catalog's largest size and latency standing in for unset ones
+export const startingPoint = (config, tools) => ({
+    concurrentStreams: config.concurrentStreams,
+    toolCallsPerStream: config.toolCallsPerStream,
+    responseSize: config.responseSize ?? Math.max(...tools.map((tool) => tool.responseSize)),
+    toolLatency: config.toolLatency ?? Math.max(...tools.map((tool) => latencyCeiling(tool.latency))),
+});
+
+export const describePoint = (point) => BISECT_DIMENSIONS.map((dimension) => `${dimension.label} ${dimension.format(point[dimension.key])}`).join(', ');
+
+const pointKey = (point) => BISECT_DIMENSIONS.map((dimension) => point[dimension.key]).join('/');
+
+/*
+ * Search from `start` with `measure(point)`, which resolves to { failures, streams }.
+ * Resolves to { minimal, measurements }, each measurement being { point, failures, streams,
+ * failureRate, fails }. `minimal` is the smallest failing one, or null when `start` itself
+ * doesn't fail. `onMeasured(measurement)` is called after each new point.
+ */
+export async function bisect(start, { measure, threshold, onMeasured = () => {} }) {
+    const measurements = [];
+    const cache = new Map();
+
+    const fails = async (point) => {
+        const key = pointKey(point);
+        if (!cache.has(key)) {
+            const { failures, streams } = await measure(point);
+            const measurement = { point, failures, streams, failureRate: streams > 0 ? failures / streams : 0 };
+            measurement.fails = measurement.failureRate >= threshold;
+            cache.set(key, measurement);
+            measurements.push(measurement);
+            await onMeasured(measurement);
+        }
+        return cache.get(key).fails;
+    };
+
+    if (!(await fails(start))) {
+        return { minimal: null, measurements };
+    }
+
+    let current = start;
+    for (const { key, min, scale } of BISECT_DIMENSIONS) {
+        const at = (value) => ({ ...current, [key]: value });
+        if (current[key] <= min) {
+            continue;
+        }
+        if (await fails(at(min))) {
+            current = at(min);
+            continue;
+        }
+
+        // Invariant: `low` passes, `high` fails
+        let low = scale === 'geometric' ? Math.max(min, 1) : min;
+        let high = current[key];
+        if (low !== min && low < high && (await fails(at(low)))) {
+            high = low;
+        }
+        while (scale === 'linear' ? high - low > 1 : high > low * 2) {
+            const middle = scale === 'linear' ? Math.floor((low + high) / 2) : Math.round(Math.sqrt(low * high));
+            if (await fails(at(middle))) {
+                high = middle;
+            } else {
+                low = middle;
+            }
+        }
+        current = at(high);
+    }
+
+    return { minimal: cache.get(pointKey(current)), measurements };
+}
@@ -0,0 +1,155 @@
+/*
+ * Raw SSE capture and replay
+ *
+ * A capturing fetch tees the Messages API response body and records every SSE frame,
+ * exactly as received, with its time since the request started. Captures are JSONL:
+ *
+ *   { "kind": "meta", "streamId": 3, "status": 200, "headers": {...}, ... }   first line
+ *   { "kind": "frame", "t": 412, "event": "content_block_start", "raw": "event: ...\ndata: {...}" }
+ *   { "kind": "end", "t": 1880, "error": "terminated" }                        last line (error only if the body failed)
+ *
+ * A replaying fetch turns a capture back into a Response, so the SDK's MessageStream
+ * parses the same bytes again with no network - including truncated frames and
+ * dropped connections.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { sleep } from './utils.mjs';
+
+const frameEvent = (raw) => /^event: ?(.*)$/m.exec(raw)?.[1] ?? 'message';
+
+const recordBody = async (body, capture, startTime) => {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    const push = (raw, partial = false) =>
+        capture.frames.push({ kind: 'frame', t: Date.now() - startTime, event: frameEvent(raw), raw, ...(partial && { partial }) });
+
+    try {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+            buffer += value.replace(/\r\n?/g, '\n');
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                push(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+            }
+        }
+        if (buffer) {
+            push(buffer, true);
+        }
+        capture.end = { kind: 'end', t: Date.now() - startTime };
+    } catch (error) {
+        if (buffer) {
+            push(buffer, true);
+        }
+        capture.end = { kind: 'end', t: Date.now() - startTime, error: error.message };
+    }
+};
+
+/*
+ * fetch() for the Anthropic client that records the SSE response into `capture`
+ * ({ meta, frames, end }). `capture.done` resolves once the body has been fully read.
+ */
+export const createCaptureFetch = (capture) => async (url, init) => {
+    const startTime = Date.now();
+    const response = await fetch(url, init);
+
+    capture.meta = {
+        ...capture.meta,
+        kind: 'meta',
+        url: String(url),
+        startedAt: new Date(startTime).toISOString(),
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+    };
+    capture.frames = [];
+
+    if (!response.body) {
+        capture.done = Promise.resolve();
+        return response;
+    }
+
+    const [forSdk, forCapture] = response.body.tee();
+    capture.done = recordBody(forCapture, capture, startTime);
+
+    return new Response(forSdk, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+};
+
+export const writeCapture = async (path, capture) => {
+    await capture.done;
+    const lines = [capture.meta, ...capture.frames, capture.end].filter(Boolean).map((line) => JSON.stringify(line));
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, lines.join('\n') + '\n');
+};
+
+export const readCapture = async (path) => {
+    const lines = (await readFile(path, 'utf8'))
+        .split('\n')
+        .filter((line) => line.trim() !== '')
+        .map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                throw new Error(`${path}:${i + 1}: not valid JSON`);
+            }
+        });
+
+    const meta = lines.find((line) => line.kind === 'meta');
+    if (!meta) {
+        throw new Error(`${path} is not a capture (no meta line)`);
+    }
+
+    return {
+        meta,
+        frames: lines.filter((line) => line.kind === 'frame'),
+        end: lines.find((line) => line.kind === 'end') ?? { kind: 'end', t: lines.at(-1)?.t ?? 0 },
+    };
+};
+
+/*
+ * fetch() for the Anthropic client that answers every request with the captured
+ * response. With `realtime`, frames are spaced out as they originally arrived.
+ */
+export const createReplayFetch = (capture, { realtime = false } = {}) => async () => {
+    const encoder = new TextEncoder();
+
+    const frames = capture.frames[Symbol.iterator]();
+    let previous = 0;
+
+    // Pull-based, so every frame is read before a recorded error fails the body
+    // (erroring a stream discards whatever is still queued)
+    const body = new ReadableStream({
+        async pull(controller) {
+            const { value: frame, done } = frames.next();
+            if (done) {
+                if (realtime) {
+                    await sleep(capture.end.t - previous);
+                }
+                if (capture.end.error) {
+                    controller.error(new TypeError(capture.end.error));
+                } else {
+                    controller.close();
+                }
+                return;
+            }
+
+            if (realtime) {
+                await sleep(frame.t - previous);
+                previous = frame.t;
+            }
+            controller.enqueue(encoder.encode(frame.partial ? frame.raw : `${frame.raw}\n\n`));
+        },
+    }, { highWaterMark: 0 });
+
+    return new Response(body, { status: capture.meta.status, headers: capture.meta.headers });
+};
@@ -0,0 +1,159 @@
+/*
+ * MCP tool catalog
+ *
+ * Loads the tools mcp.mjs serves from a JSON or YAML file (TOOL_CATALOG, default tools.json).
+ * Each entry:
+ *
+ *   name          tool name
+ *   description   tool description
+ *   inputSchema   JSON Schema for the arguments (object; top-level properties are validated)
+ *   latency       { type: 'fixed', ms } | { type: 'uniform', min, max } | { type: 'normal', mean, jitter }
+ *   responseSize  approximate result size in bytes (default TOOL_RESPONSE_SIZE)
+ *   contentType   'text' | 'image' | 'resource' (default 'text')
+ *   payload       body for text/resource content: 'text' | 'json' (default 'text', see payloads.mjs)
+ *   blocks        number of content blocks to split the result into (default 1)
+ *   seed          payload seed (default PAYLOAD_SEED)
+ *   errorRate     probability (0-1) that a call returns an error result (default 0)
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parse as parseYaml } from 'yaml';
+import { z } from 'zod';
+import { PAYLOAD_KINDS } from './payloads.mjs';
+import { TOOL_RESPONSE_SIZE } from './utils.mjs';
+
+export const DEFAULT_CATALOG_PATH = fileURLToPath(new URL('./tools.json', import.meta.url));
+
+const CONTENT_TYPES = ['text', 'image', 'resource'];
+
+const validateLatency = (name, latency = { type: 'fixed', ms: 0 }) => {
+    const isDuration = (value) => typeof value === 'number' && value >= 0;
+
+    switch (latency.type) {
+        case 'fixed':
+            if (isDuration(latency.ms)) return latency;
+            break;
+        case 'uniform':
+            if (isDuration(latency.min) && isDuration(latency.max) && latency.min <= latency.max) return latency;
+            break;
+        case 'normal':
+            if (isDuration(latency.mean) && isDuration(latency.jitter ?? 0)) return { jitter: 0, ...latency };
+            break;
+    }
+
+    throw new Error(`Tool "${name}": invalid latency ${JSON.stringify(latency)}`);
+};
+
+const validateEntry = (entry, index) => {
+    if (typeof entry?.name !== 'string' || entry.name === '') {
+        throw new Error(`Tool #${index + 1}: "name" is required`);
+    }
+
+    const {
+        name,
+        contentType = 'text',
+        payload = 'text',
+        blocks = 1,
+        errorRate = 0,
+        responseSize = TOOL_RESPONSE_SIZE,
+    } = entry;
+
+    if (!CONTENT_TYPES.includes(contentType)) {
+        throw new Error(`Tool "${name}": contentType must be one of ${CONTENT_TYPES.join(', ')}`);
+    }
+    if (!PAYLOAD_KINDS.includes(payload)) {
+        throw new Error(`Tool "${name}": payload must be one of ${PAYLOAD_KINDS.join(', ')}`);
+    }
+    if (!(Number.isInteger(blocks) && blocks >= 1)) {
+        throw new Error(`Tool "${name}": blocks must be a positive integer`);
+    }
+    if (entry.seed !== undefined && !Number.isInteger(entry.seed)) {
+        throw new Error(`Tool "${name}": seed must be an integer`);
+    }
+    if (!(errorRate >= 0 && errorRate <= 1)) {
+        throw new Error(`Tool "${name}": errorRate must be between 0 and 1`);
+    }
+    if (!(Number.isInteger(responseSize) && responseSize >= 0)) {
+        throw new Error(`Tool "${name}": responseSize must be a non-negative integer`);
+    }
+    if (entry.inputSchema && entry.inputSchema.type !== 'object') {
+        throw new Error(`Tool "${name}": inputSchema must be an object schema`);
+    }
+
+    return {
+        name,
+        description: entry.description ?? '',
+        inputSchema: entry.inputSchema ?? { type: 'object', properties: {} },
+        latency: validateLatency(name, entry.latency),
+        responseSize,
+        contentType,
+        payload,
+        blocks,
+        seed: entry.seed,
+        errorRate,
+    };
+};
+
+export const loadToolCatalog = async (path = process.env.TOOL_CATALOG || DEFAULT_CATALOG_PATH) => {
+    const source = await readFile(path, 'utf8');
+    const catalog = /\.ya?ml$/i.test(path) ? parseYaml(source) : JSON.parse(source);
+    const entries = Array.isArray(catalog) ? catalog : catalog?.tools;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`Tool catalog ${path} has no tools`);
+    }
+
+    const tools = entries.map(validateEntry);
+    const duplicate = tools.find((tool, i) => tools.findIndex((other) => other.name === tool.name) !== i);
+    if (duplicate) {
+        throw new Error(`Tool catalog ${path} defines "${duplicate.name}" more than once`);
+    }
+
+    return tools;
+};
+
+// Box-Muller; good enough for latency jitter
+const normalRandom = (mean, stddev) =>
+    mean + stddev * Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+export const sampleLatency = (latency) => {
+    switch (latency.type) {
+        case 'uniform':
+            return latency.min + Math.random() * (latency.max - latency.min);
+        case 'normal':
+            return Math.max(0, normalRandom(latency.mean, latency.jitter));
+        default:
+            return latency.ms;
+    }
+};
+
+const schemaToZod = (schema = {}) => {
+    switch (schema.type) {
+        case 'string':
+            return schema.enum ? z.enum(schema.enum) : z.string();
+        case 'number':
+            return z.number();
+        case 'integer':
+            return z.number().int();
+        case 'boolean':
+            return z.boolean();
+        case 'array':
+            return z.array(schemaToZod(schema.items));
+        case 'object':
+            return z.object(inputShape(schema)).passthrough();
+        default:
+            return z.any();
+    }
+};
+
+// registerTool takes a zod shape, so translate the catalog's JSON Schema properties
+export const inputShape = (schema) => {
+    const required = new Set(schema.required ?? []);
+    return Object.fromEntries(
+        Object.entries(schema.properties ?? {}).map(([key, property]) => {
+            const type = schemaToZod(property).describe(property.description ?? key);
+            return [key, required.has(key) ? type : type.optional()];
+        })
+    );
+};
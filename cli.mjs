@@ -0,0 +1,411 @@
+/*
+ * Command-line options for anthropic.mjs
+ *
+ * Settings are merged in this order, later ones winning:
+ *   built-in defaults < --preset < --config file < environment variables < flags
+ *
+ * Config files are JSON or YAML with the same camelCase keys as the table below
+ * (e.g. { "concurrentStreams": 20, "faults": "drop_connection", "sizeSweep": "1KB..1MB" }),
+ * and may name a "preset" to start from and carry a "description". Everything is validated
+ * before any stream starts. --bisect writes its result as such a file (see `configFile`).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { parse as parseYaml } from 'yaml';
+import { DEFAULT_CATALOG_PATH, loadToolCatalog } from './catalog.mjs';
+import { parseFaultProfile } from './faults.mjs';
+import { describeLoadProfile, parseLoadProfile } from './load-profile.mjs';
+import { RECOVERY_STRATEGIES } from './recovery.mjs';
+import { loadScenario } from './scenario.mjs';
+import { formatCost, loadPriceTable, priceFor } from './usage.mjs';
+import { formatSize, parseSize } from './utils.mjs';
+
+const integer = (min) => (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(`${name} must be an integer >= ${min} (got "${value}")`);
+    }
+    return number;
+};
+
+const url = (value, name) => {
+    try {
+        return new URL(value).toString().replace(/\/$/, '');
+    } catch {
+        throw new Error(`${name} must be a URL (got "${value}")`);
+    }
+};
+
+const string = (value) => String(value);
+
+const oneOf = (...choices) => (value, name) => {
+    if (!choices.includes(value)) {
+        throw new Error(`${name} must be one of ${choices.join(', ')} (got "${value}")`);
+    }
+    return value;
+};
+
+// Boolean flags take no value on the command line; env and config files may say true/false/1/0
+const boolean = (value, name) => {
+    if ([true, 'true', '1'].includes(value)) return true;
+    if ([false, 'false', '0'].includes(value)) return false;
+    throw new Error(`${name} must be true or false (got "${value}")`);
+};
+
+const percent = (value, name) => {
+    const number = integer(0)(value, name);
+    if (number > 100) {
+        throw new Error(`${name} must be a percentage from 0 to 100 (got "${value}")`);
+    }
+    return number;
+};
+
+const usd = (value, name) => {
+    const number = Number(value);
+    if (!(number > 0)) {
+        throw new Error(`${name} must be a positive amount in USD (got "${value}")`);
+    }
+    return number;
+};
+
+const size = (value, name) => {
+    try {
+        return parseSize(value);
+    } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+    }
+};
+
+// "1KB..10MB" steps x4 from the low end; "1KB,1MB,10MB" is taken as-is
+export function parseSizeSweep(spec) {
+    const range = /^(.+)\.\.(.+)$/.exec(spec);
+    if (!range) {
+        return spec.split(',').map(parseSize);
+    }
+
+    const [min, max] = [parseSize(range[1]), parseSize(range[2])];
+    if (min <= 0 || min > max) {
+        throw new Error(`Invalid size range "${spec}"`);
+    }
+    const sizes = [];
+    for (let current = min; current < max; current *= 4) {
+        sizes.push(current);
+    }
+    return [...sizes, max];
+}
+
+const sweep = (value, name) => {
+    try {
+        return parseSizeSweep(value);
+    } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+    }
+};
+
+const faults = (value, name) => {
+    try {
+        parseFaultProfile(value);
+        return value;
+    } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+    }
+};
+
+const load = (value, name) => {
+    try {
+        parseLoadProfile(value);
+        return value;
+    } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+    }
+};
+
+/*
+ * Every setting: its flag, config key, parser, environment variable and default.
+ * The API key and MCP secrets are deliberately env-only so they never end up in shell history.
+ */
+const OPTIONS = [
+    { flag: 'base-url', key: 'anthropicBaseUrl', parse: url, env: 'ANTHROPIC_BASE_URL', help: 'Anthropic API base URL (e.g. mock-anthropic.mjs at http://localhost:3032)' },
+    { flag: 'mcp-url', key: 'mcpUrl', parse: url, env: 'MCP_URL', help: 'Public URL of the MCP server (without /mcp)' },
+    { flag: 'tool-mode', key: 'toolMode', parse: oneOf('connector', 'client'), env: 'TOOL_MODE', default: 'connector', help: 'connector: mcp_servers, the API calls the tools; client: regular tools, called here over MCP' },
+    { flag: 'model', key: 'model', parse: string, default: 'claude-haiku-4-5-20251001', help: 'Model to stream from' },
+    { flag: 'max-tokens', key: 'maxTokens', parse: integer(1), default: 4096, help: 'max_tokens per stream' },
+    { flag: 'thinking-budget', key: 'thinkingBudget', parse: integer(0), default: 1024, help: 'Extended thinking budget_tokens (0 disables thinking)' },
+    { flag: 'concurrency', short: 'c', key: 'concurrentStreams', parse: integer(1), default: 10, help: 'Streams per iteration (per burst with --load bursts)' },
+    { flag: 'load', key: 'load', parse: load, env: 'LOAD_PROFILE', default: 'burst', help: 'When streams start: burst, ramp:30s, rate:5/s, bursts:3x10s or soak:10m@2/s' },
+    { flag: 'max-in-flight', key: 'maxInFlight', parse: integer(1), help: 'Cap on streams running at once; later ones wait (default: no cap)' },
+    { flag: 'tool-calls', short: 't', key: 'toolCallsPerStream', parse: integer(1), default: 5, help: 'Tool calls each stream makes' },
+    { flag: 'scenario', key: 'scenario', parse: string, env: 'SCENARIO', help: 'JSON or YAML workflows to mix: prompts, tools, thinking and expected tool calls per stream' },
+    { flag: 'iterations', short: 'n', key: 'iterations', parse: integer(1), default: 3, help: 'Iterations to run' },
+    { flag: 'iteration-delay', key: 'iterationDelay', parse: integer(0), default: 3000, help: 'Pause between iterations (ms)' },
+    { flag: 'faults', key: 'faults', parse: faults, env: 'FAULT_PROFILE', help: 'Fault profile for the mock API, e.g. "no_message_stop:1,none:3"' },
+    { flag: 'response-size', key: 'responseSize', parse: size, help: 'Override every tool\'s response size, e.g. 2MB' },
+    { flag: 'tool-latency', key: 'toolLatency', parse: integer(0), help: 'Override every tool\'s latency (ms)' },
+    { flag: 'size-sweep', key: 'sizeSweep', parse: sweep, env: 'SIZE_SWEEP', help: 'Sweep response sizes, e.g. "1KB..10MB" or "1KB,1MB"' },
+    { flag: 'bisect', key: 'bisect', parse: boolean, boolean: true, default: false, help: 'Search for the smallest concurrency, tool calls, response size and tool latency that still fail' },
+    { flag: 'bisect-repeat', key: 'bisectRepeat', parse: integer(1), default: 3, help: 'Iterations to run at each point of the --bisect search' },
+    { flag: 'bisect-threshold', key: 'bisectThreshold', parse: percent, default: 20, help: 'Failure rate (%) at which a --bisect point counts as failing' },
+    { flag: 'bisect-output', key: 'bisectOutput', parse: string, default: 'bisect-scenario.json', help: 'Where --bisect writes the smallest failing setup, as a --config file' },
+    { flag: 'budget', key: 'budgetUsd', parse: usd, env: 'BUDGET_USD', help: 'Stop starting streams once the estimated cost reaches this many USD' },
+    { flag: 'price-table', key: 'priceTable', parse: string, env: 'PRICE_TABLE', help: 'JSON or YAML prices (USD per million tokens) by model prefix, merged over the built-in ones' },
+    { flag: 'report-json', key: 'reportJson', parse: string, env: 'REPORT_JSON', help: 'Write a JSON report to this path' },
+    { flag: 'report-junit', key: 'reportJunit', parse: string, env: 'REPORT_JUNIT', help: 'Write a JUnit XML report to this path' },
+    { flag: 'timeline', key: 'timeline', parse: boolean, boolean: true, default: false, help: 'Print each iteration\'s streams and MCP server tool calls as one timeline' },
+    { flag: 'capture-dir', key: 'captureDir', parse: string, env: 'CAPTURE_DIR', help: 'Record raw SSE frames per stream as JSONL under this directory' },
+    { flag: 'capture', key: 'capture', parse: oneOf('failed', 'all'), default: 'failed', help: 'Which streams to keep captures for: failed or all' },
+    { flag: 'replay', key: 'replay', parse: string, help: 'Replay a capture file through the SDK instead of calling the API' },
+    { flag: 'replay-realtime', key: 'replayRealtime', parse: boolean, boolean: true, default: false, help: 'Replay frames with their original timing' },
+    { flag: 'mcp-token-url', key: 'mcpTokenUrl', parse: url, env: 'MCP_TOKEN_URL', help: 'Get MCP bearer tokens from this OAuth token endpoint (mcp.mjs: <mcp-url>/oauth/token)' },
+    { flag: 'token-refresh', key: 'tokenRefresh', parse: oneOf('once', 'iteration', 'stream'), default: 'once', help: 'When to get a new token from --mcp-token-url: once, iteration or stream' },
+    { flag: 'recovery', key: 'recovery', parse: oneOf(...RECOVERY_STRATEGIES), default: 'off', help: 'Recover broken streams: off, retry (same request again) or resume (continue from the completed blocks)' },
+    { flag: 'recovery-attempts', key: 'recoveryAttempts', parse: integer(1), default: 3, help: 'Attempts per turn, including the first, when recovering' },
+    { flag: 'recovery-backoff', key: 'recoveryBackoff', parse: integer(0), default: 500, help: 'Delay before the first retry (ms), doubling for each further one' },
+    { flag: 'catalog', key: 'toolCatalog', parse: string, env: 'TOOL_CATALOG', default: DEFAULT_CATALOG_PATH, help: 'Tool catalog shared with mcp.mjs' },
+];
+
+export const PRESETS = {
+    default: {
+        description: '10 concurrent streams x 5 tool calls, 3 iterations',
+        config: {},
+    },
+    smoke: {
+        description: 'Quick check that everything is wired up',
+        config: { concurrentStreams: 2, toolCallsPerStream: 2, iterations: 1, iterationDelay: 0 },
+    },
+    race: {
+        description: 'High concurrency, many iterations',
+        config: { concurrentStreams: 25, toolCallsPerStream: 5, iterations: 5 },
+    },
+    'large-responses': {
+        description: 'Fewer streams with 2MB tool results',
+        config: { concurrentStreams: 5, toolCallsPerStream: 3, responseSize: '2MB' },
+    },
+    'size-sweep': {
+        description: 'Find the response size where failures start',
+        config: { concurrentStreams: 5, toolCallsPerStream: 3, iterations: 2, sizeSweep: '1KB..10MB' },
+    },
+    ramp: {
+        description: '20 streams ramped up over 20s, 2 iterations',
+        config: { concurrentStreams: 20, load: 'ramp:20s', iterations: 2 },
+    },
+    soak: {
+        description: '10 minutes at 1 stream/s, at most 20 in flight',
+        config: { load: 'soak:10m@1/s', maxInFlight: 20, iterations: 1 },
+    },
+    faults: {
+        description: 'Mix of every mock fault mode (mock API only)',
+        config: {
+            faults: 'none:2,no_message_stop:1,truncate:1,drop_connection:1,malformed_json:1',
+            iterations: 1,
+        },
+    },
+};
+
+export const usage = () => {
+    const flags = OPTIONS.map((option) => {
+        const name = `${option.short ? `-${option.short}, ` : '    '}--${option.flag}${option.boolean ? '' : ' <value>'}`;
+        const extras = [
+            option.env && `env ${option.env}`,
+            option.default !== undefined && option.key !== 'toolCatalog' && `default ${option.default}`,
+        ].filter(Boolean);
+        return `  ${name.padEnd(30)} ${option.help}${extras.length ? ` (${extras.join(', ')})` : ''}`;
+    });
+    const presets = Object.entries(PRESETS).map(([name, preset]) => `  ${name.padEnd(30)} ${preset.description}`);
+
+    return [
+        'Usage: node anthropic.mjs [options]',
+        '',
+        'Options:',
+        ...flags,
+        `  ${'    --preset <name>'.padEnd(30)} Start from a named preset (see below)`,
+        `  ${'    --config <file>'.padEnd(30)} JSON or YAML file with the same settings (camelCase keys)`,
+        `  ${'-h, --help'.padEnd(30)} Show this help`,
+        '',
+        'Presets:',
+        ...presets,
+        '',
+        'ANTHROPIC_API_KEY is read from the environment (not needed with --base-url).',
+        'MCP_AUTH_TOKEN (static MCP bearer token) and MCP_OAUTH_CLIENT_SECRET (for --mcp-token-url) are env-only too.',
+        'MCP_INTEGRITY_SECRET must match the one mcp.mjs signs tool results with, if it sets one.',
+    ].join('\n');
+};
+
+const readConfigFile = async (path) => {
+    const source = await readFile(path, 'utf8').catch((error) => {
+        throw new Error(`Cannot read config file ${path}: ${error.message}`);
+    });
+    const config = /\.ya?ml$/i.test(path) ? parseYaml(source) : JSON.parse(source);
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+        throw new Error(`Config file ${path} must contain an object`);
+    }
+    return config;
+};
+
+const presetConfig = (name) => {
+    if (!PRESETS[name]) {
+        throw new Error(`Unknown preset "${name}" (available: ${Object.keys(PRESETS).join(', ')})`);
+    }
+    return PRESETS[name].config;
+};
+
+/*
+ * Resolve the full run configuration from argv and the environment.
+ * Returns { help: true } when --help was given; throws on any invalid value.
+ */
+export async function loadConfig(argv, env = process.env) {
+    const { values } = parseArgs({
+        args: argv,
+        strict: true,
+        options: {
+            ...Object.fromEntries(
+                OPTIONS.map((option) => [
+                    option.flag,
+                    { type: option.boolean ? 'boolean' : 'string', ...(option.short && { short: option.short }) },
+                ])
+            ),
+            preset: { type: 'string' },
+            config: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    const file = values.config ? await readConfigFile(values.config) : {};
+    const presetName = values.preset ?? file.preset ?? 'default';
+    const preset = presetConfig(presetName);
+
+    const unknownKeys = Object.keys(file).filter(
+        (key) => key !== 'preset' && key !== 'description' && !OPTIONS.some((option) => option.key === key)
+    );
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown setting(s) in ${values.config}: ${unknownKeys.join(', ')}`);
+    }
+
+    const config = {
+        preset: presetName,
+        anthropicApiKey: env.ANTHROPIC_API_KEY,
+        mcpAuthToken: env.MCP_AUTH_TOKEN || undefined,
+        mcpClientSecret: env.MCP_OAUTH_CLIENT_SECRET || undefined,
+        integritySecret: env.MCP_INTEGRITY_SECRET || undefined,
+    };
+    for (const option of OPTIONS) {
+        const raw = values[option.flag] ?? (option.env && env[option.env]) ?? file[option.key] ?? preset[option.key];
+        config[option.key] = raw === undefined || raw === '' ? option.default : option.parse(raw, `--${option.flag}`);
+    }
+
+    // A replay never reaches the network, so it needs neither
+    if (!config.anthropicApiKey && !config.anthropicBaseUrl && !config.replay) {
+        throw new Error('ANTHROPIC_API_KEY not set (or pass --base-url to use the mock API)');
+    }
+    if (!config.mcpUrl && !config.replay) {
+        throw new Error('MCP URL not set (--mcp-url or MCP_URL)');
+    }
+    if (config.thinkingBudget > 0 && config.thinkingBudget < 1024) {
+        throw new Error('--thinking-budget must be 0 (disabled) or at least 1024');
+    }
+    if (config.thinkingBudget >= config.maxTokens) {
+        throw new Error(`--thinking-budget (${config.thinkingBudget}) must be less than --max-tokens (${config.maxTokens})`);
+    }
+    if (config.mcpAuthToken && config.mcpTokenUrl) {
+        throw new Error('MCP_AUTH_TOKEN and --mcp-token-url cannot be combined');
+    }
+    if (config.sizeSweep && config.responseSize) {
+        throw new Error('--size-sweep and --response-size cannot be combined');
+    }
+    if (config.bisect && config.sizeSweep) {
+        throw new Error('--bisect and --size-sweep cannot be combined');
+    }
+
+    config.prices = await loadPriceTable(config.priceTable);
+    config.price = priceFor(config.model, config.prices);
+    if (config.budgetUsd && !config.price) {
+        throw new Error(`--budget needs a price for model ${config.model} (add it with --price-table)`);
+    }
+
+    config.faultProfile = parseFaultProfile(config.faults);
+    config.loadProfile = parseLoadProfile(config.load);
+    config.toolNames = (await loadToolCatalog(config.toolCatalog)).map((tool) => tool.name);
+
+    // Without a scenario every stream runs the built-in workflow (see scenario.mjs)
+    const scenario = config.scenario ? await loadScenario(config.scenario, config) : null;
+    config.workflows = scenario?.workflows ?? null;
+    config.scenarioDescription = scenario?.description ?? undefined;
+
+    return config;
+}
+
+export const describeConfig = (config) =>
+    [
+        `Preset: ${config.preset}`,
+        `Anthropic API: ${config.anthropicBaseUrl || 'https://api.anthropic.com'}`,
+        `MCP URL: ${config.mcpUrl}`,
+        `Model: ${config.model} (max_tokens ${config.maxTokens}, thinking ${config.thinkingBudget || 'off'})`,
+        `Concurrent streams: ${config.concurrentStreams}`,
+        `Load profile: ${describeLoadProfile(config.loadProfile)}${config.maxInFlight ? ` (max ${config.maxInFlight} in flight)` : ''}`,
+        `Tool calls per stream: ${config.toolCallsPerStream}`,
+        config.workflows &&
+            `Scenario: ${config.scenario}${config.scenarioDescription ? ` - ${config.scenarioDescription}` : ''} ` +
+                `(workflows ${config.workflows.map((workflow) => `${workflow.name} x${workflow.weight ?? 1}`).join(', ')})`,
+        `Iterations: ${config.iterations}`,
+        `Tools: ${config.toolNames.join(', ')} (${config.toolMode === 'client' ? 'called by this client' : 'called by the API via mcp_servers'})`,
+        `Fault profile: ${config.faults || 'none'}`,
+        config.responseSize && `Response size: ${formatSize(config.responseSize)}`,
+        config.sizeSweep && `Response size sweep: ${config.sizeSweep.map(formatSize).join(', ')}`,
+        config.toolLatency !== undefined && `Tool latency: ${config.toolLatency}ms`,
+        config.bisect && `Bisect: ${config.bisectRepeat} iterations per point, failing at >= ${config.bisectThreshold}% (output ${config.bisectOutput})`,
+        `MCP auth: ${
+            config.mcpTokenUrl
+                ? `tokens from ${config.mcpTokenUrl} (new token per ${config.tokenRefresh === 'once' ? 'run' : config.tokenRefresh})`
+                : config.mcpAuthToken
+                  ? 'static bearer token'
+                  : 'none'
+        }`,
+        `Prices: ${
+            config.price
+                ? `$${config.price.input} in / $${config.price.output} out / $${config.price.cacheWrite} cache write / $${config.price.cacheRead} cache read per MTok`
+                : 'unknown for this model (no cost estimates)'
+        }`,
+        config.budgetUsd && `Budget: ${formatCost(config.budgetUsd)}`,
+        config.recovery !== 'off' && `Recovery: ${config.recovery} (${config.recoveryAttempts} attempts, ${config.recoveryBackoff}ms backoff)`,
+        config.captureDir && `Captures: ${config.captureDir} (${config.capture} streams)`,
+    ]
+        .filter(Boolean)
+        .join('\n');
+
+// Where a run happens and what it writes, rather than what it does - left out of config files
+const LOCAL_KEYS = new Set([
+    'anthropicBaseUrl',
+    'mcpUrl',
+    'mcpTokenUrl',
+    'reportJson',
+    'reportJunit',
+    'timeline',
+    'captureDir',
+    'capture',
+    'replay',
+    'replayRealtime',
+    'bisect',
+    'bisectRepeat',
+    'bisectThreshold',
+    'bisectOutput',
+    'budgetUsd',
+    'priceTable',
+]);
+
+// A --config file for `config`: every setting that isn't its default, plus a description
+export const configFile = (config, description) => ({
+    description,
+    ...Object.fromEntries(
+        OPTIONS.filter(
+            (option) =>
+                !LOCAL_KEYS.has(option.key) &&
+                config[option.key] !== undefined &&
+                config[option.key] !== option.default &&
+                typeof config[option.key] !== 'object'
+        ).map((option) => [option.key, config[option.key]])
+    ),
+});
@@ -0,0 +1,128 @@
+/*
+ * Correlation ids: which stream caused which MCP tool call
+ *
+ * Every stream gets an id (<run id>-i<iteration>[-<size>b]-s<stream>) that travels to the MCP
+ * server as the ?correlationId= query on its MCP URL (see mcpServerUrl in anthropic.mjs for why
+ * a query). mcp.mjs logs it with every request and tool call and
+ * returns it with each tool execution on GET /stats/tools, so an iteration's stream timelines
+ * and the server's tool executions merge into one timeline.
+ *
+ * Routing check, per stream: the tool calls the server ran under the stream's id against the
+ * tool uses and results the stream saw. A response misrouted to another stream's transport
+ * shows up as a call the server ran that its own stream never got a result for, and as a
+ * result the other stream got without the server running a call for it.
+ *
+ * Only a stream's final attempt is compared: a broken attempt's calls (--recovery) ran on the
+ * server, but their results were thrown away or carried over. Tool calls answered with an
+ * unsigned error (e.g. a refused token) never reached the tool, so they are left out too.
+ */
+
+export const correlationIdFor = (runId, iteration, streamId, responseSize) =>
+    `${runId}-i${iteration}${responseSize ? `-${responseSize}b` : ''}-s${streamId}`;
+
+// Streams aborted by an interruption had calls cut off on purpose, so they are never judged
+const mismatched = (stream) => !stream.interrupted && (stream.unexecuted > 0 || stream.unanswered > 0 || stream.unexpected > 0);
+
+/*
+ * Per stream: { streamId, correlationId, toolUses, toolResults, serverCalls, unexecuted,
+ * unanswered, unexpected }, counted over the stream's final attempt (`result.finalAttempt`).
+ * `unexecuted` counts tool uses the server has no call for under the stream's id, `unanswered`
+ * calls the server ran for the stream beyond the results it received, `unexpected` results
+ * beyond the calls the server ran for it. Server calls with an id that belongs to none of the
+ * streams are counted as `orphans`. Recovered streams are marked `recovered`, interrupted ones
+ * `interrupted` and left out of `mismatched`.
+ */
+export function checkRouting(results, serverTimings) {
+    const ids = new Set(results.map((result) => result.correlationId));
+    const streams = results.map((result) => {
+        const attempt = result.finalAttempt;
+        const serverCalls = serverTimings.filter(
+            (timing) => timing.correlationId === result.correlationId && timing.startedAt >= attempt.since
+        ).length;
+        const toolUses = attempt.toolUses - attempt.unsignedErrors;
+        const toolResults = attempt.toolResults;
+        return {
+            streamId: result.streamId,
+            correlationId: result.correlationId,
+            toolUses,
+            toolResults,
+            serverCalls,
+            unexecuted: Math.max(0, toolUses - serverCalls),
+            unanswered: Math.max(0, serverCalls - toolResults),
+            unexpected: Math.max(0, toolResults - serverCalls),
+            ...(attempt.recovered && { recovered: true }),
+            ...(result.interrupted && { interrupted: true }),
+        };
+    });
+
+    return {
+        streams,
+        mismatched: streams.filter(mismatched).map((stream) => stream.streamId),
+        orphans: serverTimings.filter((timing) => !ids.has(timing.correlationId)).length,
+    };
+}
+
+// One line per stream that doesn't add up, or a clean bill
+export function describeRouting(routing) {
+    const bad = routing.streams.filter(mismatched);
+    const lines = bad.map(
+        (stream) =>
+            `  Stream ${stream.streamId}${stream.recovered ? ' (final attempt)' : ''}: ` +
+            `${stream.toolUses} tool uses, server ran ${stream.serverCalls}, ${stream.toolResults} results received` +
+            [
+                stream.unanswered > 0 && `${stream.unanswered} result(s) never arrived`,
+                stream.unexpected > 0 && `${stream.unexpected} result(s) for calls the server never ran for it`,
+                stream.unexecuted > 0 && `${stream.unexecuted} call(s) never reached the server`,
+            ]
+                .filter(Boolean)
+                .map((note) => ` - ${note}`)
+                .join('')
+    );
+    if (routing.orphans > 0) {
+        lines.push(`  ${routing.orphans} server tool call(s) carried no correlation id of this iteration`);
+    }
+    return bad.length === 0
+        ? [`Routing: every stream got a result for each tool call the server ran for it`, ...lines].join('\n')
+        : [`Routing: ${bad.length} stream(s) don't match the server's tool calls:`, ...lines].join('\n');
+}
+
+// Content block boundaries are left out of the merged view - tool uses already mark them
+const MERGED_TYPES_SKIPPED = new Set(['content_block_start', 'content_block_stop']);
+
+/*
+ * Stream timelines and server tool executions as one list, ordered by time:
+ * { at (ms since `startedAt`), streamId, source ('stream' or 'server'), type, detail }.
+ */
+export function mergeTimeline(results, serverTimings, startedAt) {
+    const streamOf = new Map(results.map((result) => [result.correlationId, result.streamId]));
+
+    const client = results.flatMap((result) =>
+        result.timeline
+            .filter((entry) => !MERGED_TYPES_SKIPPED.has(entry.type))
+            .map((entry) => ({ at: result.startedAt + entry.t - startedAt, streamId: result.streamId, source: 'stream', type: entry.type, detail: entry.detail }))
+    );
+    const server = serverTimings.flatMap((timing) => {
+        const streamId = streamOf.get(timing.correlationId) ?? null;
+        return [
+            { at: timing.startedAt - startedAt, streamId, source: 'server', type: 'tool_called', detail: timing.tool },
+            {
+                at: timing.startedAt + timing.durationMs - startedAt,
+                streamId,
+                source: 'server',
+                type: timing.isError ? 'tool_failed' : 'tool_finished',
+                detail: `${timing.tool} (${timing.durationMs}ms)`,
+            },
+        ];
+    });
+
+    return [...client, ...server].sort((a, b) => a.at - b.at);
+}
+
+export const formatMergedTimeline = (entries) =>
+    entries
+        .map(
+            (entry) =>
+                `  ${`+${entry.at}ms`.padStart(9)} ${(entry.streamId ? `[Stream ${entry.streamId}]` : '[unknown]').padEnd(12)} ` +
+                `${entry.source.padEnd(6)} ${entry.type}${entry.detail ? ` ${entry.detail}` : ''}`
+        )
+        .join('\n');
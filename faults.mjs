@@ -0,0 +1,51 @@
+/*
+ * Fault injection modes for mock-anthropic.mjs
+ *
+ * - no_message_stop:  send every block, then end the response without message_stop
+ * - truncate:         end the response cleanly in the middle of an SSE frame
+ * - drop_connection:  destroy the TCP socket in the middle of a content block
+ * - malformed_json:   send a content_block_delta whose data is not valid JSON
+ * - stall:            pause between events for MOCK_STALL_MS before carrying on
+ * - misroute:         deliver another stream's latest mcp_tool_result content instead of this one's
+ */
+export const FAULT_MODES = ['none', 'no_message_stop', 'truncate', 'drop_connection', 'malformed_json', 'stall', 'misroute'];
+
+// Header the harness uses to request a fault, and the mock uses to report the one it applied
+export const FAULT_HEADER = 'x-mock-fault';
+
+/*
+ * Parse a fault profile like "drop_connection" or "no_message_stop:2,none:8"
+ * into weighted entries. Weights default to 1.
+ */
+export const parseFaultProfile = (spec) => {
+    if (!spec) {
+        return [];
+    }
+
+    return spec.split(',').map((entry) => {
+        const [mode, weight = '1'] = entry.trim().split(':');
+        if (!FAULT_MODES.includes(mode)) {
+            throw new Error(`Unknown fault mode "${mode}" (expected one of: ${FAULT_MODES.join(', ')})`);
+        }
+        if (!(Number(weight) >= 0)) {
+            throw new Error(`Invalid weight "${weight}" for fault mode "${mode}"`);
+        }
+        return { mode, weight: Number(weight) };
+    });
+};
+
+export const pickFault = (profile, random = Math.random) => {
+    const total = profile.reduce((sum, entry) => sum + entry.weight, 0);
+    if (total === 0) {
+        return 'none';
+    }
+
+    let roll = random() * total;
+    for (const entry of profile) {
+        roll -= entry.weight;
+        if (roll < 0) {
+            return entry.mode;
+        }
+    }
+    return profile.at(-1).mode;
+};
@@ -0,0 +1,83 @@
+/*
+ * Tool result integrity: a signed nonce in every tool result
+ *
+ * mcp.mjs payloads are fixed, so a result delivered to the wrong stream would look just like
+ * the right one. For requests that carry a correlation id (see correlation.mjs), mcp.mjs puts
+ * a first text block in each tool result:
+ *
+ *   [mcp-integrity] {"correlationId":"...","sequence":3,"tool":"get-profile","requestId":"...","hmac":"..."}
+ *
+ * `sequence` counts the tool calls the server ran for that correlation id, and `hmac` is an
+ * HMAC-SHA256 over the other fields with MCP_INTEGRITY_SECRET. anthropic.mjs checks every tool
+ * result against its own stream: the signature, the correlation id, the tool it called and a
+ * sequence that only goes up. The secret only has to match on both sides - this detects
+ * misrouting and corruption, it is not meant to stop an attacker.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const INTEGRITY_PREFIX = '[mcp-integrity] ';
+
+export const DEFAULT_INTEGRITY_SECRET = 'mcp-concurrent-streams';
+
+const signature = ({ correlationId, sequence, tool, requestId }, secret) =>
+    createHmac('sha256', secret).update(JSON.stringify([correlationId, sequence, tool, requestId])).digest('base64url');
+
+// The text block mcp.mjs adds to a tool result
+export function integrityBlock(nonce, secret = DEFAULT_INTEGRITY_SECRET) {
+    return { type: 'text', text: INTEGRITY_PREFIX + JSON.stringify({ ...nonce, hmac: signature(nonce, secret) }) };
+}
+
+// The nonce in a tool result's content (MCP or Messages shape), or null if there is none
+export function readNonce(content) {
+    const block = (Array.isArray(content) ? content : []).find(
+        (part) => part.type === 'text' && typeof part.text === 'string' && part.text.startsWith(INTEGRITY_PREFIX)
+    );
+    if (!block) {
+        return null;
+    }
+    try {
+        return JSON.parse(block.text.slice(INTEGRITY_PREFIX.length));
+    } catch {
+        return { unreadable: true };
+    }
+}
+
+/*
+ * Checks one stream's tool results in the order they arrive. `check(content, tool)` returns
+ * null for a good result, otherwise { reason, message } with reason one of:
+ *   missing       no nonce (or an unreadable one)
+ *   bad_signature the HMAC doesn't match - corrupted, or signed with another secret
+ *   wrong_stream  signed for another correlation id - a misrouted response
+ *   wrong_tool    signed for another tool than the one this result answers
+ *   replayed      a sequence number at or below one already seen
+ */
+export function createIntegrityChecker({ correlationId, secret = DEFAULT_INTEGRITY_SECRET }) {
+    let lastSequence = 0;
+
+    const check = (content, tool) => {
+        const nonce = readNonce(content);
+        if (!nonce || nonce.unreadable) {
+            return { reason: 'missing', message: `${tool} result carries no readable integrity nonce` };
+        }
+
+        const expected = Buffer.from(signature(nonce, secret));
+        const actual = Buffer.from(String(nonce.hmac));
+        if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+            return { reason: 'bad_signature', message: `${tool} result nonce has a bad signature` };
+        }
+        if (nonce.correlationId !== correlationId) {
+            return { reason: 'wrong_stream', message: `${tool} result was signed for ${nonce.correlationId} (request ${nonce.requestId})` };
+        }
+        if (nonce.tool !== tool) {
+            return { reason: 'wrong_tool', message: `${tool} result was signed for ${nonce.tool} (request ${nonce.requestId})` };
+        }
+        if (nonce.sequence <= lastSequence) {
+            return { reason: 'replayed', message: `${tool} result has sequence ${nonce.sequence}, already past ${lastSequence}` };
+        }
+        lastSequence = nonce.sequence;
+        return null;
+    };
+
+    return { check };
+}
@@ -0,0 +1,129 @@
+/*
+ * Load profiles: when each stream of an iteration starts
+ *
+ *   burst                    every stream at 0ms (default - the original repro)
+ *   ramp:<duration>          start times spread evenly over the duration, e.g. ramp:30s
+ *   rate:<n>/s               one stream every 1/n seconds (constant arrival rate), e.g. rate:5/s
+ *   bursts:<count>x<every>   `count` bursts of streams, one every `every`, e.g. bursts:3x10s
+ *   soak:<duration>@<n>/s    streams at n/s until the duration is up, e.g. soak:10m@2/s
+ *
+ * burst, ramp and rate start --concurrency streams; bursts starts --concurrency per burst.
+ * A soak starts as many as its rate fits into its duration. With --max-in-flight, a stream
+ * whose start time comes while that many are running waits for one to finish; how late
+ * it started is reported as its start lag.
+ */
+
+import { formatDuration, parseDuration, sleep } from './utils.mjs';
+
+export const LOAD_PROFILES = ['burst', 'ramp', 'rate', 'bursts', 'soak'];
+
+const parseRate = (value, spec) => {
+    const match = /^(\d+(?:\.\d+)?)\/s$/.exec(value ?? '');
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid rate in load profile "${spec}" (expected e.g. 5/s)`);
+    }
+    return Number(match[1]);
+};
+
+export function parseLoadProfile(spec = 'burst') {
+    const [type, args] = spec.trim().split(/:(.*)/);
+
+    switch (type) {
+        case 'burst':
+            return { type };
+        case 'ramp':
+            return { type, durationMs: parseDuration(args) };
+        case 'rate':
+            return { type, rate: parseRate(args, spec) };
+        case 'bursts': {
+            const match = /^(\d+)x(.+)$/.exec(args ?? '');
+            if (!match || Number(match[1]) < 1) {
+                throw new Error(`Invalid load profile "${spec}" (expected e.g. bursts:3x10s)`);
+            }
+            return { type, count: Number(match[1]), intervalMs: parseDuration(match[2]) };
+        }
+        case 'soak': {
+            const [duration, rate] = (args ?? '').split('@');
+            return { type, durationMs: parseDuration(duration), rate: parseRate(rate, spec) };
+        }
+        default:
+            throw new Error(`Unknown load profile "${type}" (expected one of: ${LOAD_PROFILES.join(', ')})`);
+    }
+}
+
+// Start offsets (ms from the start of the iteration), one per stream
+export function streamSchedule(profile, streams) {
+    switch (profile.type) {
+        case 'ramp':
+            return Array.from({ length: streams }, (_, i) => (streams > 1 ? Math.round((i * profile.durationMs) / (streams - 1)) : 0));
+        case 'rate':
+            return Array.from({ length: streams }, (_, i) => Math.round((i * 1000) / profile.rate));
+        case 'bursts':
+            return Array.from({ length: profile.count * streams }, (_, i) => Math.floor(i / streams) * profile.intervalMs);
+        case 'soak':
+            return Array.from({ length: Math.max(1, Math.floor((profile.durationMs / 1000) * profile.rate)) }, (_, i) =>
+                Math.round((i * 1000) / profile.rate)
+            );
+        default:
+            return Array.from({ length: streams }, () => 0);
+    }
+}
+
+export function describeLoadProfile(profile) {
+    switch (profile.type) {
+        case 'ramp':
+            return `ramp over ${formatDuration(profile.durationMs)}`;
+        case 'rate':
+            return `${profile.rate} streams/s`;
+        case 'bursts':
+            return `${profile.count} bursts, every ${formatDuration(profile.intervalMs)}`;
+        case 'soak':
+            return `soak for ${formatDuration(profile.durationMs)} at ${profile.rate} streams/s`;
+        default:
+            return 'burst (all at once)';
+    }
+}
+
+const streamFailed = (streamId, error) => ({ streamId, success: false, error: error.message });
+
+/*
+ * Start `start(streamId, { offset, lag, queued })` at each offset, keeping at most
+ * `maxInFlight` running (`queued` says the stream had to wait for one to finish). A stream
+ * whose start() rejects gets `failed(streamId, error)` as its result instead, so one broken
+ * stream doesn't stop the others. Once `stop()` returns true no more streams start; aborting
+ * `signal` cuts the wait for the next offset short, so stop() is asked right away. Resolves
+ * to { results, peakInFlight, skipped } once every started stream has finished.
+ */
+export async function runSchedule(offsets, { maxInFlight = Infinity, start, failed = streamFailed, stop = () => false, signal }) {
+    const startedAt = Date.now();
+    const inFlight = new Set();
+    const results = [];
+    let peakInFlight = 0;
+
+    for (const [i, offset] of offsets.entries()) {
+        await sleep(offset - (Date.now() - startedAt), signal);
+        let queued = false;
+        while (inFlight.size >= maxInFlight) {
+            queued = true;
+            await Promise.race(inFlight);
+        }
+        if (stop()) {
+            break;
+        }
+
+        const lag = Date.now() - startedAt - offset;
+        const running = Promise.resolve()
+            .then(() => start(i + 1, { offset, lag, queued }))
+            .catch((error) => failed(i + 1, error))
+            .then((result) => {
+                results[i] = result;
+            })
+            .finally(() => inFlight.delete(running));
+        inFlight.add(running);
+        peakInFlight = Math.max(peakInFlight, inFlight.size);
+    }
+
+    await Promise.all(inFlight);
+    const started = results.filter(Boolean);
+    return { results: started, peakInFlight, skipped: offsets.length - started.length };
+}
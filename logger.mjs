@@ -0,0 +1,46 @@
+/*
+ * Leveled JSON logs for mcp.mjs
+ *
+ * One JSON object per line: { time, level, msg, ...fields }. LOG_LEVEL (debug, info, warn,
+ * error; default info) drops anything less severe. `child(fields)` adds fields to every
+ * line - mcp.mjs gives each request a child logger with its request id.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Never logged as-is: they carry credentials
+const SENSITIVE_HEADERS = new Set(['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key']);
+
+export const redactHeaders = (headers) =>
+    Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name, SENSITIVE_HEADERS.has(name.toLowerCase()) ? '[REDACTED]' : value])
+    );
+
+// Errors don't survive JSON.stringify on their own
+const serialize = (value) => (value instanceof Error ? { message: value.message, stack: value.stack } : value);
+
+export function createLogger({ level = process.env.LOG_LEVEL || 'info', fields = {} } = {}) {
+    const threshold = LOG_LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new Error(`Invalid LOG_LEVEL "${level}" (expected one of: ${LOG_LEVELS.join(', ')})`);
+    }
+
+    const write = (lineLevel, msg, extra = {}) => {
+        if (LOG_LEVELS.indexOf(lineLevel) < threshold) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            entry[key] = serialize(value);
+        }
+        (lineLevel === 'error' ? process.stderr : process.stdout).write(JSON.stringify(entry) + '\n');
+    };
+
+    return {
+        debug: (msg, extra) => write('debug', msg, extra),
+        info: (msg, extra) => write('info', msg, extra),
+        warn: (msg, extra) => write('warn', msg, extra),
+        error: (msg, extra) => write('error', msg, extra),
+        child: (extra) => createLogger({ level: LOG_LEVELS[threshold], fields: { ...fields, ...extra } }),
+    };
+}
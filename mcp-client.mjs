@@ -0,0 +1,35 @@
+/*
+ * MCP client helpers
+ *
+ * Shared by the mock API, which calls tools for mcp_servers like the Anthropic connector
+ * does, and anthropic.mjs in client tool mode, which calls them itself.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+
+export async function connectMcp(url, { token, name = 'mcp-repro-client' } = {}) {
+    const client = new Client({ name, version: '1.0.0' });
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const transport = new StreamableHTTPClientTransport(new URL(url), {
+        requestInit: { headers },
+    });
+    await client.connect(transport);
+    return client;
+}
+
+export async function closeMcp(client) {
+    // Ends the session in session mode; a no-op against a stateless server
+    await client?.transport?.terminateSession().catch(() => {});
+    await client?.close().catch(() => {});
+}
+
+// Tool failures (including transport and auth errors) come back as is_error results, like the connector's
+export async function callMcpTool(client, name, input) {
+    try {
+        const result = await client.callTool({ name, arguments: input });
+        return { is_error: Boolean(result.isError), content: result.content };
+    } catch (error) {
+        return { is_error: true, content: [{ type: 'text', text: error.message }] };
+    }
+}
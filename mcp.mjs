@@ -2,195 +2,537 @@
 /**
  * Minimal MCP Server for Testing Large Responses
  *
+ * Serves the tools listed in the tool catalog (TOOL_CATALOG, default tools.json).
  *
- * To run: node mcp.mjs
+ * MCP_TRANSPORT_MODE picks the Streamable HTTP transport mode:
+ *   stateless  a new transport per POST, JSON responses, no Mcp-Session-Id (default)
+ *   session    a transport per session id, SSE responses, GET stream and DELETE teardown;
+ *              sessions left without a DELETE close after MCP_SESSION_IDLE_MS (default 5 minutes)
+ *              with no request open
+ *
+ * MCP_SERVER_INSTANCE picks how McpServer instances map to transports:
+ *   per-request  a new McpServer for every transport (default)
+ *   shared       one McpServer connected to every transport in turn - the suspected race
+ *
+ * MCP_AUTH protects /mcp with bearer tokens (see auth.mjs):
+ *   none    no auth (default)
+ *   static  Authorization: Bearer $MCP_AUTH_TOKEN
+ *   oauth   tokens from POST /oauth/token, expiring after MCP_TOKEN_TTL_MS (default 5 minutes);
+ *           MCP_OAUTH_CLIENT_SECRET, if set, is required to get one
+ *
+ * Logs are JSON lines (see logger.mjs, LOG_LEVEL default info), each request's tagged with
+ * its request id (X-Request-Id, generated if missing) and the harness stream's correlation id
+ * (?correlationId= or X-Correlation-Id, see correlation.mjs). Prometheus metrics are on
+ * GET /metrics (see server-metrics.mjs).
+ *
+ * Tool results for requests with a correlation id start with a signed nonce (see integrity.mjs),
+ * keyed with MCP_INTEGRITY_SECRET, so the harness can tell a result meant for another stream.
+ *
+ * On Ctrl-C (or SIGTERM) the server stops listening, turns new MCP requests away with 503 and
+ * waits up to MCP_DRAIN_TIMEOUT_MS (default 10s) for the tool calls in flight before exiting.
+ *
+ * To run: node mcp.mjs (or import { createApp } to run it in-process, as the tests do)
  */
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import express from 'express';
-import { TOOL_RESPONSE_SIZE } from './utils.mjs';
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const app = express();
-const PORT = process.env.PORT || 3031;
-
-// Parse JSON bodies
-app.use(express.json());
-
-// Log ALL incoming requests
-app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} from ${req.ip}`);
-    console.log(`  Headers:`, JSON.stringify(req.headers, null, 2));
-    next();
-});
-
-// CORS for Anthropic
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id');
-    res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id');
-
-    if (req.method === 'OPTIONS') {
-        console.log(`[${new Date().toISOString()}] Responding to OPTIONS preflight`);
-        res.sendStatus(200);
-        return;
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { AUTH_MODES, createTokenIssuer, requireBearer, staticTokenCheck, tokenEndpoint } from './auth.mjs';
+import { inputShape, loadToolCatalog, sampleLatency } from './catalog.mjs';
+import { DEFAULT_INTEGRITY_SECRET, integrityBlock } from './integrity.mjs';
+import { createLogger, redactHeaders } from './logger.mjs';
+import { buildContent } from './payloads.mjs';
+import { createMetrics, errorType } from './server-metrics.mjs';
+import { handleShutdown } from './shutdown.mjs';
+import { parseDuration, parseSize, sleep } from './utils.mjs';
+
+const TRANSPORT_MODES = ['stateless', 'session'];
+const SERVER_INSTANCES = ['per-request', 'shared'];
+
+/*
+ * The MCP server app, configured from `env` (the variables above, default process.env) and
+ * not yet listening. Throws on an invalid setting. Resolves to { app, shutdown, tools,
+ * transportMode, sessionIdleMs, serverInstance, authMode, tokenIssuer, tokenTtlMs }.
+ */
+export async function createApp(env = process.env) {
+    const log = createLogger({ level: env.LOG_LEVEL || 'info' });
+    const metrics = createMetrics();
+    const app = express();
+
+    // Tools to serve - see catalog.mjs for the format (TOOL_CATALOG, default tools.json)
+    const tools = await loadToolCatalog(env.TOOL_CATALOG || undefined);
+
+    const TRANSPORT_MODE = env.MCP_TRANSPORT_MODE || 'stateless';
+    if (!TRANSPORT_MODES.includes(TRANSPORT_MODE)) {
+        throw new Error(`Invalid MCP_TRANSPORT_MODE "${TRANSPORT_MODE}" (expected one of: ${TRANSPORT_MODES.join(', ')})`);
     }
 
-    next();
-});
-
-const createServer = async () => {
-    const server = new McpServer(
-        {
-            name: 'minimal-test-mcp',
-            version: '1.0.0',
-        },
-        {
-            capabilities: {
-                tools: {},
-            },
-        }
-    );
-    
-    console.log('Registering multiple tools...');
-    
-    // Tool 1: get-profile (simulates get-lp-profile)
-    server.registerTool(
-        'get-profile',
-        {
-            description: 'Get a profile with structured data',
-        },
-        async () => {
-            console.log(`[${new Date().toISOString()}] Tool called: get-profile`);
-            await sleep(800); // Short delay to maximize request throughput
-    
-            const profile = JSON.stringify({
-                uuid: 'abc-123',
-                name: 'Test LP',
-                type: 'Pension Fund',
-                aum: { amount: 1000000000, currency: 'USD' },
-                sectors: ['Tech', 'Healthcare'],
-            });
-    
-            return {
-                content: [{ type: 'text', text: profile }],
-            };
-        }
-    );
-    
-    // Tool 2: query-database (simulates query-discovery-database)
-    server.registerTool(
-        'query-database',
-        {
-            description: 'Run a database query and return results',
-        },
-        async () => {
-            console.log(`[${new Date().toISOString()}] Tool called: query-database`);
-            await sleep(1200); // Slightly longer to create variety in timing
-    
-            const results = JSON.stringify([
-                { id: 1, name: 'Row 1', value: 100 },
-                { id: 2, name: 'Row 2', value: 200 },
-                { id: 3, name: 'Row 3', value: 300 },
-            ]);
-    
-            return {
-                content: [{ type: 'text', text: results }],
-            };
+    const SERVER_INSTANCE = env.MCP_SERVER_INSTANCE || 'per-request';
+    if (!SERVER_INSTANCES.includes(SERVER_INSTANCE)) {
+        throw new Error(`Invalid MCP_SERVER_INSTANCE "${SERVER_INSTANCE}" (expected one of: ${SERVER_INSTANCES.join(', ')})`);
+    }
+
+    const AUTH_MODE = env.MCP_AUTH || 'none';
+    if (!AUTH_MODES.includes(AUTH_MODE)) {
+        throw new Error(`Invalid MCP_AUTH "${AUTH_MODE}" (expected one of: ${AUTH_MODES.join(', ')})`);
+    }
+    if (AUTH_MODE === 'static' && !env.MCP_AUTH_TOKEN) {
+        throw new Error('MCP_AUTH=static needs MCP_AUTH_TOKEN');
+    }
+    const TOKEN_TTL_MS = Number(env.MCP_TOKEN_TTL_MS ?? 300000);
+    const tokenIssuer = AUTH_MODE === 'oauth' ? createTokenIssuer({ ttlMs: TOKEN_TTL_MS }) : null;
+
+    const INTEGRITY_SECRET = env.MCP_INTEGRITY_SECRET || DEFAULT_INTEGRITY_SECRET;
+
+    // Live transports by Mcp-Session-Id (session mode only)
+    const sessions = new Map();
+
+    // Requests open per session transport, and the timer that closes it once none has been for SESSION_IDLE_MS.
+    // Clients that go away without a DELETE would otherwise keep their transport for the life of the process.
+    const SESSION_IDLE_MS = Number(env.MCP_SESSION_IDLE_MS ?? 300000);
+    const sessionActivity = new Map();
+
+    const trackSessionRequest = (transport, res) => {
+        const activity = sessionActivity.get(transport) ?? { requests: 0, timer: null };
+        sessionActivity.set(transport, activity);
+        clearTimeout(activity.timer);
+        activity.requests++;
+        res.on('close', () => {
+            if (--activity.requests > 0 || !sessionActivity.has(transport)) {
+                return;
+            }
+            activity.timer = setTimeout(() => {
+                log.info('Closing idle session', { sessionId: transport.sessionId ?? null, idleMs: SESSION_IDLE_MS });
+                transport.close().catch((error) => log.error('Error closing transport', { error }));
+            }, SESSION_IDLE_MS);
+            activity.timer.unref();
+        });
+    };
+
+    // Recent tool executions as { tool, startedAt, durationMs, isError, correlationId, requestId }, served on /stats/tools
+    const TOOL_TIMINGS_KEPT = 10000;
+    const toolTimings = [];
+
+    const recordToolTiming = (timing) => {
+        toolTimings.push(timing);
+        if (toolTimings.length > TOOL_TIMINGS_KEPT) {
+            toolTimings.splice(0, toolTimings.length - TOOL_TIMINGS_KEPT);
         }
-    );
-    
-    // Tool 3: enrich-data (simulates enrich-lp-profile)
-    server.registerTool(
-        'enrich-data',
-        {
-            description: 'Enrich a profile with additional data',
-        },
-        async () => {
-            console.log(`[${new Date().toISOString()}] Tool called: enrich-data`);
-            await sleep(500); // Very short delay
-    
-            return {
-                content: [{ type: 'text', text: 'Successfully enriched profile with new data' }],
-            };
+    };
+
+    // Tool calls run so far per correlation id, for the integrity nonce's sequence (oldest ids forgotten first)
+    const callSequences = new Map();
+
+    const nextSequence = (correlationId) => {
+        const sequence = (callSequences.get(correlationId) ?? 0) + 1;
+        callSequences.delete(correlationId);
+        callSequences.set(correlationId, sequence);
+        if (callSequences.size > TOOL_TIMINGS_KEPT) {
+            callSequences.delete(callSequences.keys().next().value);
         }
-    );
-    
-    console.log('All tools registered successfully');
+        return sequence;
+    };
 
-    return server;
-}
+    // Tool calls running right now, for shutdown() to wait on
+    const toolCallsInFlight = new Set();
+
+    const trackToolCall = (handler) => () => {
+        const call = handler();
+        const done = () => {
+            toolCallsInFlight.delete(call);
+            metrics.toolCallsInFlight.dec();
+        };
+        toolCallsInFlight.add(call);
+        metrics.toolCallsInFlight.inc();
+        call.then(done, done);
+        return call;
+    };
+
+    // Set by shutdown(): new MCP requests are turned away while tool calls drain
+    let draining = false;
+
+    // Per-request settings and logger, visible to tool handlers whichever server instance runs them
+    const requestContext = new AsyncLocalStorage();
 
-// Create MCP server
+    // Routes metrics are labelled with; anything else counts as 'other'
+    const ROUTES = new Set(['/mcp', '/oauth/token', '/health', '/stats/tools', '/metrics']);
 
+    // Request and correlation ids, request log and HTTP metrics for every request
+    app.use((req, res, next) => {
+        const requestId = req.get('x-request-id') || randomUUID();
+        const correlationId = (typeof req.query.correlationId === 'string' && req.query.correlationId) || req.get('x-correlation-id');
+        const startedAt = process.hrtime.bigint();
+        const route = ROUTES.has(req.path) ? req.path : 'other';
 
-// MCP endpoint
-app.post('/mcp', async (req, res) => {
-    console.log(
-        `[${new Date().toISOString()}] Received MCP request:`,
-        req.body?.method || 'unknown method',
-        JSON.stringify(req.body, null, 2)
-    );
+        res.set('X-Request-Id', requestId);
+        req.requestId = requestId;
+        req.correlationId = correlationId ?? null;
+        req.log = log.child({ requestId, ...(correlationId && { correlationId }) });
+        req.log.info('Request received', { method: req.method, path: req.path, ip: req.ip });
+        req.log.debug('Request headers', { headers: redactHeaders(req.headers) });
 
-    const transport = new StreamableHTTPServerTransport({
-        sessionIdGenerator: undefined,
-        enableJsonResponse: true,
+        res.on('finish', () => {
+            const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            metrics.httpRequestDuration.observe({ method: req.method, route }, durationSeconds);
+            const type = errorType(res.statusCode, { route, sessionId: req.get('mcp-session-id') });
+            if (type) {
+                metrics.errors.inc({ type });
+            }
+            req.log.info('Request finished', { status: res.statusCode, durationMs: Math.round(durationSeconds * 1000) });
+        });
+        next();
     });
 
-    res.on('close', async () => {
-        console.log(`[${new Date().toISOString()}] Response closed`);
-        try {
-            await transport.close();
-        } catch (error) {
-            console.error('Error closing transport:', error);
+    // Parse JSON bodies
+    app.use(express.json());
+
+    // CORS for Anthropic
+    app.use((req, res, next) => {
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, X-Request-Id, X-Correlation-Id');
+        res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, X-Request-Id');
+
+        if (req.method === 'OPTIONS') {
+            req.log.debug('Responding to OPTIONS preflight');
+            res.sendStatus(200);
+            return;
         }
+
+        next();
     });
 
-    try {
-        console.log(`[${new Date().toISOString()}] Connecting server to transport...`);
+    const createServer = async () => {
+        const server = new McpServer(
+            {
+                name: 'minimal-test-mcp',
+                version: '1.0.0',
+            },
+            {
+                capabilities: {
+                    tools: {},
+                },
+            }
+        );
+
+        log.debug(`Registering ${tools.length} tools from catalog`);
+
+        for (const tool of tools) {
+            server.registerTool(
+                tool.name,
+                {
+                    description: tool.description,
+                    inputSchema: inputShape(tool.inputSchema),
+                },
+                trackToolCall(async () => {
+                    const context = requestContext.getStore();
+                    const toolLog = (context?.log ?? log).child({ tool: tool.name });
+                    const startedAt = Date.now();
+                    const nonce = context?.correlationId && {
+                        correlationId: context.correlationId,
+                        sequence: nextSequence(context.correlationId),
+                        tool: tool.name,
+                        requestId: context.requestId,
+                    };
+                    toolLog.info('Tool called', nonce ? { sequence: nonce.sequence } : {});
+                    await sleep(context?.latency ?? sampleLatency(tool.latency));
+
+                    const finish = (isError, { content, ...rest }) => {
+                        // buildContent() caches its content, so the nonce goes into a copy
+                        const result = { ...rest, content: nonce ? [integrityBlock(nonce, INTEGRITY_SECRET), ...content] : content };
+                        const durationMs = Date.now() - startedAt;
+                        const bytes = Buffer.byteLength(JSON.stringify(result.content));
+                        recordToolTiming({
+                            tool: tool.name,
+                            startedAt,
+                            durationMs,
+                            isError,
+                            correlationId: context?.correlationId ?? null,
+                            requestId: context?.requestId ?? null,
+                        });
+                        metrics.toolCalls.inc({ tool: tool.name, outcome: isError ? 'error' : 'ok' });
+                        metrics.toolDuration.observe({ tool: tool.name }, durationMs / 1000);
+                        metrics.toolResponseBytes.observe({ tool: tool.name }, bytes);
+                        if (isError) {
+                            metrics.errors.inc({ type: 'tool' });
+                        }
+                        toolLog[isError ? 'warn' : 'info'](isError ? 'Tool failed (simulated)' : 'Tool finished', { durationMs, bytes });
+                        return result;
+                    };
+
+                    if (Math.random() < tool.errorRate) {
+                        return finish(true, {
+                            isError: true,
+                            content: [{ type: 'text', text: `Simulated failure in ${tool.name}` }],
+                        });
+                    }
+
+                    return finish(false, { content: buildContent(tool, context?.responseSize ?? tool.responseSize) });
+                })
+            );
+        }
+
+        log.debug('All tools registered');
+
+        return server;
+    }
+
+    let sharedServer;
+
+    // Connecting the shared server to a new transport replaces its previous one
+    const connectServer = async (transport) => {
+        if (SERVER_INSTANCE === 'shared') {
+            sharedServer ??= await createServer();
+            await sharedServer.connect(transport);
+            return;
+        }
         const server = await createServer();
         await server.connect(transport);
-        console.log(`[${new Date().toISOString()}] Server connected, handling request...`);
+    };
+
+    const jsonRpcError = (res, status, code, message) => {
+        res.status(status).json({
+            jsonrpc: '2.0',
+            error: {
+                code,
+                message,
+            },
+            id: null,
+        });
+    };
+
+    // Token issuer (MCP_AUTH=oauth)
+    if (tokenIssuer) {
+        app.post(
+            '/oauth/token',
+            express.urlencoded({ extended: false }),
+            tokenEndpoint(tokenIssuer, { clientSecret: env.MCP_OAUTH_CLIENT_SECRET })
+        );
+    }
+
+    // Bearer auth on the MCP endpoint
+    if (AUTH_MODE === 'static') {
+        app.use('/mcp', requireBearer(staticTokenCheck(env.MCP_AUTH_TOKEN)));
+    } else if (tokenIssuer) {
+        app.use('/mcp', requireBearer(tokenIssuer.check));
+    }
+
+    /*
+     * `responseSize` and `latency` override every tool's size and latency for this request. The
+     * harness sets them via the ?responseSize= and ?latency= queries on the MCP URL (see
+     * mcpServerUrl in anthropic.mjs).
+     */
+    const responseSizeFor = (req) => (req.query.responseSize ? parseSize(req.query.responseSize) : undefined);
+    const latencyFor = (req) => (req.query.latency ? parseDuration(req.query.latency) : undefined);
+
+    // Stateless: a fresh transport and server for every POST, closed with the response
+    const handleStatelessRequest = async (req, res) => {
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: undefined,
+            enableJsonResponse: true,
+        });
+
+        metrics.transportsInFlight.inc();
+        res.on('close', async () => {
+            metrics.transportsInFlight.dec();
+            req.log.debug('Response closed');
+            try {
+                await transport.close();
+            } catch (error) {
+                req.log.error('Error closing transport', { error });
+            }
+        });
+
+        await connectServer(transport);
+        req.log.debug('Server connected, handling request');
         await transport.handleRequest(req, res, req.body);
-        console.log(`[${new Date().toISOString()}] MCP request handled successfully`);
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] Error handling MCP request:`, error);
-        console.error('Stack:', error.stack);
-        if (!res.headersSent) {
-            res.status(500).json({
-                jsonrpc: '2.0',
-                error: {
-                    code: -32603,
-                    message: 'Internal server error',
+    };
+
+    // Session: initialize creates a transport that lives until DELETE, shutdown or SESSION_IDLE_MS without requests
+    const handleSessionRequest = async (req, res) => {
+        const sessionId = req.get('mcp-session-id');
+        let transport = sessionId && sessions.get(sessionId);
+
+        if (!transport) {
+            if (sessionId) {
+                req.log.warn('Unknown session', { sessionId });
+                jsonRpcError(res, 404, -32001, 'Session not found');
+                return;
+            }
+            if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+                jsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+                return;
+            }
+
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: (id) => {
+                    sessions.set(id, transport);
+                    metrics.sessionsOpen.set(sessions.size);
+                    req.log.info('Session started', { sessionId: id, open: sessions.size });
                 },
-                id: null,
             });
+            metrics.transportsInFlight.inc();
+            transport.onclose = () => {
+                metrics.transportsInFlight.dec();
+                clearTimeout(sessionActivity.get(transport)?.timer);
+                sessionActivity.delete(transport);
+                if (transport.sessionId && sessions.delete(transport.sessionId)) {
+                    metrics.sessionsOpen.set(sessions.size);
+                    log.info('Session closed', { sessionId: transport.sessionId, open: sessions.size });
+                }
+            };
+
+            req.log.debug('Connecting server to new session transport');
+            await connectServer(transport);
+        }
+
+        trackSessionRequest(transport, res);
+        await transport.handleRequest(req, res, req.body);
+    };
+
+    // MCP endpoint
+    app.all('/mcp', async (req, res) => {
+        req.log.info('MCP request', { rpcMethod: req.body?.method ?? null, rpcId: req.body?.id ?? null });
+        req.log.debug('MCP request body', { body: req.body });
+
+        if (draining) {
+            jsonRpcError(res, 503, -32000, 'Server is shutting down');
+            return;
+        }
+        if (TRANSPORT_MODE === 'stateless' && req.method !== 'POST') {
+            jsonRpcError(res, 405, -32000, 'Method not allowed (stateless mode)');
+            return;
+        }
+
+        try {
+            const handle = TRANSPORT_MODE === 'session' ? handleSessionRequest : handleStatelessRequest;
+            const context = {
+                responseSize: responseSizeFor(req),
+                latency: latencyFor(req),
+                log: req.log,
+                requestId: req.requestId,
+                correlationId: req.correlationId,
+            };
+            await requestContext.run(context, () => handle(req, res));
+        } catch (error) {
+            req.log.error('Error handling MCP request', { error });
+            if (!res.headersSent) {
+                jsonRpcError(res, 500, -32603, 'Internal server error');
+            }
+        }
+    });
+
+    // Health check - also tells the harness which modes are active
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            transport: TRANSPORT_MODE,
+            serverInstance: SERVER_INSTANCE,
+            integrity: true,
+        });
+    });
+
+    // Tool execution times since ?since= (ms since epoch), for the harness' latency metrics
+    app.get('/stats/tools', (req, res) => {
+        const since = Number(req.query.since ?? 0);
+        res.json({ timings: toolTimings.filter((timing) => timing.startedAt >= since) });
+    });
+
+    // Prometheus metrics
+    app.get('/metrics', async (req, res) => {
+        res.set('Content-Type', metrics.registry.contentType);
+        res.send(await metrics.registry.metrics());
+    });
+
+    /*
+     * Stops taking MCP requests and waits up to `timeoutMs` for the tool calls in flight to
+     * finish, then closes every session. Resolves to the number of tool calls abandoned.
+     */
+    const shutdown = async ({ timeoutMs }) => {
+        draining = true;
+        const pending = [...toolCallsInFlight];
+        log.info('Draining tool calls', { inFlight: pending.length, timeoutMs });
+
+        let timer;
+        const timedOut = new Promise((resolve) => (timer = setTimeout(resolve, timeoutMs)));
+        await Promise.race([Promise.allSettled(pending), timedOut]);
+        clearTimeout(timer);
+
+        const abandoned = toolCallsInFlight.size;
+        if (abandoned > 0) {
+            log.warn('Tool calls still running after the drain timeout', { abandoned, timeoutMs });
+        }
+        for (const transport of sessions.values()) {
+            await transport.close().catch((error) => log.error('Error closing transport', { error }));
         }
+        return abandoned;
+    };
+
+    return {
+        app,
+        shutdown,
+        tools,
+        transportMode: TRANSPORT_MODE,
+        sessionIdleMs: SESSION_IDLE_MS,
+        serverInstance: SERVER_INSTANCE,
+        authMode: AUTH_MODE,
+        tokenIssuer,
+        tokenTtlMs: TOKEN_TTL_MS,
+    };
+}
+
+// Start server, unless imported (the tests run createApp() in-process)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const PORT = process.env.PORT || 3031;
+
+    let server;
+    try {
+        server = await createApp();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
     }
-});
-
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-// Start server
-app.listen(PORT, () => {
-    console.log('');
-    console.log('='.repeat(70));
-    console.log('🚀 Minimal MCP Server Started');
-    console.log('='.repeat(70));
-    console.log('');
-    console.log(`Port:           ${PORT}`);
-    console.log(`MCP Endpoint:   http://localhost:${PORT}/mcp`);
-    console.log('');
-    console.log('Press Ctrl+C to stop');
-    console.log('='.repeat(70));
-    console.log('');
-}).on('error', (error) => {
-    console.error('Error starting server:', error);
-    process.exit(1);
-});
+    const { app, shutdown, tools, transportMode, sessionIdleMs, serverInstance, authMode, tokenIssuer, tokenTtlMs } = server;
+    const DRAIN_TIMEOUT_MS = Number(process.env.MCP_DRAIN_TIMEOUT_MS ?? 10000);
+
+    const listener = app.listen(PORT, () => {
+        console.log('');
+        console.log('='.repeat(70));
+        console.log('🚀 Minimal MCP Server Started');
+        console.log('='.repeat(70));
+        console.log('');
+        console.log(`Port:           ${PORT}`);
+        console.log(`MCP Endpoint:   http://localhost:${PORT}/mcp`);
+        console.log(`Transport:      ${transportMode}${transportMode === 'session' ? ` (idle sessions close after ${sessionIdleMs}ms)` : ''}`);
+        console.log(`Server:         ${serverInstance}`);
+        console.log(`Auth:           ${authMode}${tokenIssuer ? ` (token TTL ${tokenTtlMs}ms, issuer http://localhost:${PORT}/oauth/token)` : ''}`);
+        console.log(`Tools:          ${tools.map((tool) => tool.name).join(', ')}`);
+        console.log(`Metrics:        http://localhost:${PORT}/metrics`);
+        console.log(`Log level:      ${process.env.LOG_LEVEL || 'info'}`);
+        console.log(`Drain timeout:  ${DRAIN_TIMEOUT_MS}ms`);
+        console.log('');
+        console.log('Press Ctrl+C to stop');
+        console.log('='.repeat(70));
+        console.log('');
+    }).on('error', (error) => {
+        console.error(`Error starting server: ${error.message}`);
+        process.exit(1);
+    });
+
+    // Stop listening, let the tool calls in flight finish (up to the drain timeout), then exit
+    handleShutdown(async (signal) => {
+        console.log(`\n⏹️ ${signal}: no new connections, draining tool calls for up to ${DRAIN_TIMEOUT_MS}ms (${signal} again to exit now)`);
+        listener.close();
+        const abandoned = await shutdown({ timeoutMs: DRAIN_TIMEOUT_MS });
+        listener.closeAllConnections();
+        console.log(abandoned > 0 ? `⚠️ Exiting with ${abandoned} tool call(s) still running` : '✅ All tool calls finished - exiting');
+        process.exit(abandoned > 0 ? 1 : 0);
+    });
+}
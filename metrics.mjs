@@ -0,0 +1,125 @@
+/*
+ * Latency and throughput metrics
+ *
+ * Per stream, testSingleStream records:
+ *   timeToFirstEventMs   request start to the first stream event
+ *   toolRoundTripsMs     each tool use to its tool result
+ *   eventGapsMs          time between consecutive stream events (within one Messages stream)
+ *   bytesReceived        raw response bytes, counted by countingFetch
+ *
+ * Iterations and runs report them as { count, min, mean, p50, p95, p99, max } summaries,
+ * next to the tool execution times mcp.mjs measured on its side (GET /stats/tools).
+ */
+
+import { formatSize } from './utils.mjs';
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+
+export function summarize(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        max: sorted.at(-1),
+    };
+}
+
+/*
+ * Summaries over a set of stream results (an iteration, or a whole run). `serverTimings`
+ * are mcp.mjs tool executions ({ tool, durationMs }) from the same period, if known.
+ */
+export function summarizeStreams(results, { durationMs, serverTimings } = {}) {
+    const withMetrics = results.filter((result) => result.metrics);
+    const all = (key) => withMetrics.flatMap((result) => [result.metrics[key]].flat().filter((value) => value !== null));
+    const bytes = all('bytesReceived');
+
+    const byTool = {};
+    for (const timing of serverTimings ?? []) {
+        (byTool[timing.tool] ??= []).push(timing.durationMs);
+    }
+
+    return {
+        timeToFirstEventMs: summarize(all('timeToFirstEventMs')),
+        toolRoundTripMs: summarize(all('toolRoundTripsMs')),
+        eventGapMs: summarize(all('eventGapsMs')),
+        bytesPerStream: summarize(bytes),
+        streamDurationMs: summarize(results.map((result) => result.duration)),
+        ...(serverTimings && {
+            serverToolExecutionMs: summarize(serverTimings.map((timing) => timing.durationMs)),
+            serverToolExecutionByToolMs: Object.fromEntries(Object.entries(byTool).map(([tool, values]) => [tool, summarize(values)])),
+        }),
+        ...(durationMs > 0 && {
+            throughput: {
+                streamsPerSecond: Math.round((results.length / durationMs) * 100000) / 100,
+                bytesPerSecond: Math.round((bytes.reduce((sum, value) => sum + value, 0) / durationMs) * 1000),
+            },
+        }),
+    };
+}
+
+const LABELS = {
+    timeToFirstEventMs: 'time to first event',
+    toolRoundTripMs: 'tool round trip',
+    serverToolExecutionMs: 'server tool execution',
+    eventGapMs: 'inter-event gap',
+    streamDurationMs: 'stream duration',
+    bytesPerStream: 'bytes per stream',
+};
+
+// Console table of a summarizeStreams() result
+export function formatMetrics(metrics) {
+    const lines = ['Latency (p50 / p95 / p99 / max):'];
+    for (const [key, label] of Object.entries(LABELS)) {
+        const summary = metrics[key];
+        if (!summary) {
+            continue;
+        }
+        const format = key === 'bytesPerStream' ? formatSize : (ms) => `${ms}ms`;
+        lines.push(`  ${label.padEnd(24)} ${[summary.p50, summary.p95, summary.p99, summary.max].map(format).join(' / ')}`);
+
+        if (key === 'serverToolExecutionMs') {
+            for (const [tool, toolSummary] of Object.entries(metrics.serverToolExecutionByToolMs)) {
+                lines.push(`    ${tool.padEnd(22)} ${[toolSummary.p50, toolSummary.p95, toolSummary.p99, toolSummary.max].map((ms) => `${ms}ms`).join(' / ')}`);
+            }
+        }
+    }
+    if (metrics.throughput) {
+        lines.push(`Throughput: ${metrics.throughput.streamsPerSecond} streams/s, ${formatSize(metrics.throughput.bytesPerSecond)}/s`);
+    }
+    return lines.join('\n');
+}
+
+// fetch() wrapper that reports every chunk of the response body to `onBytes`. Pull-based
+// like capture.mjs' replay, so a body that errors still delivers every chunk before it.
+export const countingFetch = (fetchImpl, onBytes) => async (url, init) => {
+    const response = await fetchImpl(url, init);
+    if (!response.body) {
+        return response;
+    }
+
+    const reader = response.body.getReader();
+    const counted = new ReadableStream(
+        {
+            async pull(controller) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    controller.close();
+                    return;
+                }
+                onBytes(value.byteLength);
+                controller.enqueue(value);
+            },
+            cancel: (reason) => reader.cancel(reason),
+        },
+        { highWaterMark: 0 }
+    );
+    return new Response(counted, { status: response.status, statusText: response.statusText, headers: response.headers });
+};
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * Mock Anthropic Messages API for running the repro offline
+ *
+ * Speaks the Messages SSE protocol (message_start, content_block_*, message_delta,
+ * message_stop) with thinking, mcp_tool_use and mcp_tool_result blocks. When the
+ * scripted "model" decides to use a tool it really calls the MCP server listed in
+ * the request's mcp_servers, so mcp.mjs sees the same traffic it would from the API.
+ * With regular `tools` instead, it answers each turn with a tool_use and stops with
+ * stop_reason "tool_use", until the conversation holds enough tool_result blocks.
+ *
+ * Faults (see faults.mjs) are requested per stream with the x-mock-fault header, or for
+ * every stream with MOCK_FAULT_PROFILE. The applied fault is echoed in the same header.
+ *
+ * To run: node mock-anthropic.mjs
+ * Then:   ANTHROPIC_BASE_URL=http://localhost:3032 MCP_URL=http://localhost:3031 node anthropic.mjs
+ */
+
+import express from 'express';
+import { randomUUID } from 'node:crypto';
+import { FAULT_HEADER, FAULT_MODES, parseFaultProfile, pickFault } from './faults.mjs';
+import { callMcpTool, closeMcp, connectMcp } from './mcp-client.mjs';
+import { sleep } from './utils.mjs';
+
+const app = express();
+const PORT = process.env.MOCK_PORT || 3032;
+
+// Delay between SSE events, so concurrent streams interleave like the real API
+const EVENT_DELAY_MS = Number(process.env.MOCK_EVENT_DELAY_MS ?? 20);
+
+// Tool calls to make when the prompt doesn't say how many
+const DEFAULT_TOOL_CALLS = 3;
+
+// Fault applied to requests that don't ask for one via the x-mock-fault header (see faults.mjs)
+const FAULT_PROFILE = parseFaultProfile(process.env.MOCK_FAULT_PROFILE);
+// Content block index (0-based) from which the fault may fire - by default the first mcp_tool_result.
+// Faults that need a delta fire on the first block at or after this index that has one.
+const FAULT_AT_BLOCK = Number(process.env.MOCK_FAULT_AT_BLOCK ?? 2);
+const STALL_MS = Number(process.env.MOCK_STALL_MS ?? 15000);
+
+// Thrown by writeEvent once a fault has ended the response, to stop generating
+class StreamTerminated extends Error {}
+
+// The latest MCP tool result content of each open stream, by message id, for the misroute fault
+const latestToolResults = new Map();
+
+app.use(express.json({ limit: '10mb' }));
+
+app.use((req, res, next) => {
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+    next();
+});
+
+const newId = (prefix) => `${prefix}_mock_${randomUUID().replace(/-/g, '').slice(0, 24)}`;
+
+const messageText = (message) =>
+    typeof message.content === 'string'
+        ? message.content
+        : message.content
+              .filter((block) => block.type === 'text')
+              .map((block) => block.text)
+              .join('\n');
+
+// The scripted model reads "N times" / "N total calls" from the prompt, like the real one would
+const plannedToolCalls = (body) => {
+    const prompts = [
+        ...(Array.isArray(body.system) ? body.system.map((block) => block.text) : [body.system ?? '']),
+        ...body.messages.filter((message) => message.role === 'user').map(messageText),
+    ];
+
+    for (const prompt of prompts) {
+        const match = /\b(\d+)\s+(?:times|total calls)\b/.exec(prompt);
+        if (match) {
+            return Number(match[1]);
+        }
+    }
+
+    return DEFAULT_TOOL_CALLS;
+};
+
+const blocksOf = (body, role, type) =>
+    body.messages
+        .filter((message) => message.role === role && Array.isArray(message.content))
+        .flatMap((message) => message.content)
+        .filter((block) => block.type === type);
+
+// Regular `tools` calls the model has already had answered, i.e. tool_result blocks in the conversation
+const answeredToolCalls = (body) => blocksOf(body, 'user', 'tool_result').length;
+
+// mcp_servers calls already made in earlier assistant turns (a resumed conversation)
+const finishedMcpCalls = (body) => blocksOf(body, 'assistant', 'mcp_tool_result').length;
+
+const frame = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+
+const applyFault = async (out, type, data) => {
+    if (out.faulted || !(data.index >= FAULT_AT_BLOCK || type === 'message_stop')) {
+        return false;
+    }
+
+    switch (out.fault) {
+        case 'no_message_stop':
+            if (type === 'message_stop') {
+                out.res.end();
+                throw new StreamTerminated();
+            }
+            return false;
+
+        case 'truncate':
+            if (type === 'content_block_start') {
+                const partial = frame(type, data);
+                out.res.end(partial.slice(0, Math.floor(partial.length / 2)));
+                throw new StreamTerminated();
+            }
+            return false;
+
+        case 'drop_connection':
+            if (type === 'content_block_stop') {
+                out.res.socket?.destroy();
+                throw new StreamTerminated();
+            }
+            return false;
+
+        case 'malformed_json':
+            if (type === 'content_block_delta') {
+                out.faulted = true;
+                out.res.write(`event: ${type}\ndata: {"type": "${type}", "index": ${data.index}, "delta": {\n\n`);
+                return true;
+            }
+            return false;
+
+        case 'misroute': {
+            // Only once another stream has a result to hand over
+            const [from, content] = [...latestToolResults].find(([messageId]) => messageId !== out.messageId) ?? [];
+            if (type === 'content_block_start' && data.content_block.type === 'mcp_tool_result' && from) {
+                out.faulted = true;
+                console.log(`[${new Date().toISOString()}] Misrouting ${from}'s tool result into block ${data.index}`);
+                out.res.write(frame(type, { ...data, content_block: { ...data.content_block, content } }));
+                return true;
+            }
+            return false;
+        }
+
+        case 'stall':
+            if (type === 'content_block_start') {
+                out.faulted = true;
+                console.log(`[${new Date().toISOString()}] Stalling ${STALL_MS}ms before block ${data.index}`);
+                await sleep(STALL_MS);
+            }
+            return false;
+
+        default:
+            return false;
+    }
+};
+
+const writeEvent = async (out, type, data) => {
+    if (out.res.destroyed || out.res.writableEnded) {
+        throw new StreamTerminated();
+    }
+    const replaced = await applyFault(out, type, data);
+    if (!replaced) {
+        out.res.write(frame(type, data));
+    }
+    await sleep(EVENT_DELAY_MS);
+};
+
+const streamThinking = async (out, index, thinking) => {
+    await writeEvent(out, 'content_block_start', {
+        index,
+        content_block: { type: 'thinking', thinking: '', signature: '' },
+    });
+    await writeEvent(out, 'content_block_delta', {
+        index,
+        delta: { type: 'thinking_delta', thinking },
+    });
+    await writeEvent(out, 'content_block_delta', {
+        index,
+        delta: { type: 'signature_delta', signature: Buffer.from(thinking).toString('base64') },
+    });
+    await writeEvent(out, 'content_block_stop', { index });
+};
+
+const streamText = async (out, index, text) => {
+    await writeEvent(out, 'content_block_start', {
+        index,
+        content_block: { type: 'text', text: '' },
+    });
+    await writeEvent(out, 'content_block_delta', {
+        index,
+        delta: { type: 'text_delta', text },
+    });
+    await writeEvent(out, 'content_block_stop', { index });
+};
+
+const streamToolUse = async (out, index, toolUse) => {
+    await writeEvent(out, 'content_block_start', {
+        index,
+        content_block: { ...toolUse, input: {} },
+    });
+    await writeEvent(out, 'content_block_delta', {
+        index,
+        delta: { type: 'input_json_delta', partial_json: JSON.stringify(toolUse.input) },
+    });
+    await writeEvent(out, 'content_block_stop', { index });
+};
+
+const streamToolResult = async (out, index, toolResult) => {
+    await writeEvent(out, 'content_block_start', { index, content_block: toolResult });
+    await writeEvent(out, 'content_block_stop', { index });
+};
+
+// Placeholder values for required arguments, so catalog tools with input schemas can be called
+const sampleArguments = (inputSchema = {}) => {
+    const samples = { string: 'sample', number: 1, integer: 1, boolean: true, array: [], object: {} };
+    return Object.fromEntries(
+        (inputSchema.required ?? []).map((key) => [key, samples[inputSchema.properties?.[key]?.type] ?? null])
+    );
+};
+
+// Messages endpoint - always streams, whatever `stream` says
+app.post('/v1/messages', async (req, res) => {
+    const body = req.body;
+    const mcpServer = body.mcp_servers?.[0];
+    const toolCalls = plannedToolCalls(body);
+    const messageId = newId('msg');
+    let outputTokens = 1;
+
+    const requestedFault = req.get(FAULT_HEADER);
+    if (requestedFault && !FAULT_MODES.includes(requestedFault)) {
+        res.status(400).json({
+            type: 'error',
+            error: { type: 'invalid_request_error', message: `Unknown fault mode "${requestedFault}"` },
+        });
+        return;
+    }
+    const out = { res, messageId, fault: requestedFault || pickFault(FAULT_PROFILE) };
+    if (out.fault !== 'none') {
+        console.log(`[${new Date().toISOString()}] Injecting fault: ${out.fault}`);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'request-id': newId('req'),
+        [FAULT_HEADER]: out.fault,
+    });
+
+    let mcp;
+    try {
+        await writeEvent(out, 'message_start', {
+            message: {
+                id: messageId,
+                type: 'message',
+                role: 'assistant',
+                model: body.model,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: {
+                    input_tokens: Math.ceil(JSON.stringify(body.messages).length / 4),
+                    cache_creation_input_tokens: 0,
+                    cache_read_input_tokens: 0,
+                    output_tokens: outputTokens,
+                },
+            },
+        });
+        await writeEvent(out, 'ping', {});
+
+        let index = 0;
+
+        if (mcpServer && toolCalls > 0) {
+            mcp = await connectMcp(mcpServer.url, { token: mcpServer.authorization_token, name: 'mock-anthropic' });
+            const { tools } = await mcp.listTools();
+            const allowedTools =
+                mcpServer.tool_configuration?.allowed_tools ?? tools.map((tool) => tool.name);
+
+            for (let call = finishedMcpCalls(body); call < toolCalls; call++) {
+                const name = allowedTools[call % allowedTools.length];
+                const toolUse = {
+                    type: 'mcp_tool_use',
+                    id: newId('mcptoolu'),
+                    name,
+                    server_name: mcpServer.name,
+                    input: sampleArguments(tools.find((tool) => tool.name === name)?.inputSchema),
+                };
+
+                if (body.thinking?.type === 'enabled') {
+                    await streamThinking(out, index++, `Call ${call + 1} of ${toolCalls}: ${name}.`);
+                }
+                await streamToolUse(out, index++, toolUse);
+
+                const result = await callMcpTool(mcp, name, toolUse.input);
+                latestToolResults.set(messageId, result.content);
+                await streamToolResult(out, index++, {
+                    type: 'mcp_tool_result',
+                    tool_use_id: toolUse.id,
+                    ...result,
+                });
+                outputTokens += 20;
+            }
+        }
+
+        // Regular tools: one tool_use per turn, and the client sends back the tool_result
+        const answered = answeredToolCalls(body);
+        let stopReason = 'end_turn';
+        if (!mcpServer && body.tools?.length > 0 && answered < toolCalls) {
+            const tool = body.tools[answered % body.tools.length];
+            if (body.thinking?.type === 'enabled') {
+                await streamThinking(out, index++, `Call ${answered + 1} of ${toolCalls}: ${tool.name}.`);
+            }
+            await streamToolUse(out, index++, {
+                type: 'tool_use',
+                id: newId('toolu'),
+                name: tool.name,
+                input: sampleArguments(tool.input_schema),
+            });
+            outputTokens += 20;
+            stopReason = 'tool_use';
+        } else {
+            await streamText(out, index++, `Made ${mcpServer ? toolCalls : answered} tool calls.`);
+            outputTokens += 10;
+        }
+
+        await writeEvent(out, 'message_delta', {
+            delta: { stop_reason: stopReason, stop_sequence: null },
+            usage: { output_tokens: outputTokens },
+        });
+        await writeEvent(out, 'message_stop', {});
+    } catch (error) {
+        // A fault ended the stream on purpose
+        if (error instanceof StreamTerminated) {
+            return;
+        }
+        console.error(`[${new Date().toISOString()}] Error generating mock stream:`, error);
+        if (!res.destroyed && !res.writableEnded) {
+            await writeEvent(out, 'error', {
+                error: { type: 'api_error', message: error.message },
+            });
+        }
+    } finally {
+        latestToolResults.delete(messageId);
+        await closeMcp(mcp);
+        res.end();
+    }
+});
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Start server
+app.listen(PORT, () => {
+    console.log('');
+    console.log('='.repeat(70));
+    console.log('🚀 Mock Anthropic API Started');
+    console.log('='.repeat(70));
+    console.log('');
+    console.log(`Port:           ${PORT}`);
+    console.log(`Base URL:       http://localhost:${PORT}`);
+    console.log(`Event delay:    ${EVENT_DELAY_MS}ms`);
+    console.log(`Fault profile:  ${process.env.MOCK_FAULT_PROFILE || 'none'}`);
+    console.log('');
+    console.log('Press Ctrl+C to stop');
+    console.log('='.repeat(70));
+    console.log('');
+}).on('error', (error) => {
+    console.error('Error starting server:', error);
+    process.exit(1);
+});
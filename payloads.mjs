@@ -0,0 +1,139 @@
+/*
+ * Deterministic payload generators for MCP tool results
+ *
+ * Every generator takes a seeded random source, so the same tool, size and seed always
+ * produce the same bytes - a failing size can be reproduced exactly.
+ *
+ * Payload kinds (a tool's `payload`), the body of text and resource blocks:
+ *   text   flat prose-like text
+ *   json   deeply nested JSON records
+ *
+ * Image blocks (a tool's contentType 'image', see catalog.mjs) carry base64-encoded PNG-ish
+ * bytes instead, whatever the payload kind. `blocks` splits the result into that many content
+ * blocks of roughly equal size.
+ */
+
+export const PAYLOAD_KINDS = ['text', 'json'];
+
+// Seed shared by every tool unless the catalog gives one (PAYLOAD_SEED)
+export const DEFAULT_SEED = Number(process.env.PAYLOAD_SEED ?? 42);
+
+// mulberry32 - small, fast and good enough for filler data
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// FNV-1a, to mix tool names into the seed
+const hashString = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+const WORDS = [
+    'pension', 'fund', 'allocation', 'sector', 'healthcare', 'tech', 'infrastructure', 'credit',
+    'equity', 'venture', 'growth', 'yield', 'mandate', 'commitment', 'portfolio', 'manager',
+    'strategy', 'region', 'currency', 'exposure', 'benchmark', 'return', 'risk', 'liquidity',
+];
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+export const generateText = (size, random) => {
+    const parts = [];
+    let length = 0;
+    while (length < size) {
+        const word = pick(random, WORDS);
+        parts.push(word);
+        length += word.length + 1;
+    }
+    return parts.join(' ').slice(0, size);
+};
+
+const nestedRecord = (random, depth) => ({
+    id: Math.floor(random() * 1e9).toString(36),
+    name: `${pick(random, WORDS)} ${pick(random, WORDS)}`,
+    value: Math.round(random() * 1e6) / 100,
+    tags: [pick(random, WORDS), pick(random, WORDS)],
+    ...(depth > 0 && { child: nestedRecord(random, depth - 1) }),
+});
+
+// Appends nested records until the serialized JSON reaches `size` bytes, using shallower
+// records near the end so it lands close to the target
+export const generateJson = (size, random, depth = 16) => {
+    const records = [];
+    let length = '{"records":[]}'.length;
+    while (length < size && depth >= 0) {
+        const record = nestedRecord(random, depth);
+        const recordLength = JSON.stringify(record).length + 1;
+        if (length + recordLength > size && (records.length > 0 || depth > 0)) {
+            depth--;
+            continue;
+        }
+        records.push(record);
+        length += recordLength;
+    }
+    return JSON.stringify({ records });
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// base64 grows 4/3, so the raw bytes are sized for the encoded string to land at `size`
+export const generateImageData = (size, random) => {
+    const bytes = Buffer.alloc(Math.max(PNG_SIGNATURE.length, Math.floor((size * 3) / 4)));
+    bytes.set(PNG_SIGNATURE);
+    for (let i = PNG_SIGNATURE.length; i < bytes.length; i++) {
+        bytes[i] = Math.floor(random() * 256);
+    }
+    return bytes.toString('base64');
+};
+
+const generateBody = (kind, size, random) => (kind === 'json' ? generateJson(size, random) : generateText(size, random));
+
+const contentBlock = (tool, size, random, index) => {
+    switch (tool.contentType) {
+        case 'image':
+            return { type: 'image', mimeType: 'image/png', data: generateImageData(size, random) };
+        case 'resource':
+            return {
+                type: 'resource',
+                resource: {
+                    uri: `mock://${tool.name}/result/${index}`,
+                    mimeType: tool.payload === 'json' ? 'application/json' : 'text/plain',
+                    text: generateBody(tool.payload, size, random),
+                },
+            };
+        default:
+            return { type: 'text', text: generateBody(tool.payload, size, random) };
+    }
+};
+
+// Generating megabytes on every call adds latency of its own, so keep the last body per tool
+const cache = new Map();
+
+/*
+ * Build the MCP `content` array for a catalog tool. `responseSize` is the total
+ * across all blocks; it defaults to the tool's own size.
+ */
+export const buildContent = (tool, responseSize = tool.responseSize) => {
+    const blocks = tool.blocks ?? 1;
+    const seed = (tool.seed ?? DEFAULT_SEED) ^ hashString(tool.name);
+    const key = `${tool.contentType}:${tool.payload}:${blocks}:${responseSize}:${seed}`;
+
+    if (cache.get(tool.name)?.key !== key) {
+        const random = createRandom(seed);
+        const blockSize = Math.ceil(responseSize / blocks);
+        const content = Array.from({ length: blocks }, (_, index) => contentBlock(tool, blockSize, random, index));
+        cache.set(tool.name, { key, content });
+    }
+
+    return cache.get(tool.name).content;
+};
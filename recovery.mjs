@@ -0,0 +1,71 @@
+/*
+ * Recovery for Messages streams that break - a production-grade mitigation next to the repro
+ *
+ * A turn that throws (no assistant message, a stream error, a dropped connection) is tried
+ * again after an exponential backoff, with one of two strategies:
+ *
+ *   retry   send the same request again; every tool call of the turn runs again
+ *   resume  carry the blocks that completed before the break into the conversation and ask
+ *           the model to continue from there
+ *
+ * Tool policy for resume: a tool call that already finished (an mcp_tool_use with its
+ * mcp_tool_result) is kept, so it is never run twice. A tool call without a result is
+ * dropped, so the model can make it again. Thinking blocks are dropped too, since a
+ * broken response may have cut them off before their signature.
+ */
+
+import { sleep } from './utils.mjs';
+
+export const RECOVERY_STRATEGIES = ['off', 'retry', 'resume'];
+
+export const CONTINUE_PROMPT =
+    'Your previous response was cut off. Continue from where you left off. Do not repeat tool calls that already returned results.';
+
+// The blocks of a broken response that are safe to carry into the next attempt
+export function resumableContent(blocks) {
+    const finished = new Set(blocks.filter((block) => block.type === 'mcp_tool_result').map((block) => block.tool_use_id));
+
+    return blocks.filter(
+        (block) =>
+            (block.type === 'text' && block.text) ||
+            (block.type === 'mcp_tool_use' && finished.has(block.id)) ||
+            block.type === 'mcp_tool_result'
+    );
+}
+
+/*
+ * Run `attempt(messages, n)` until it resolves, up to `maxAttempts` times. A rejection may
+ * carry `partialContent`, the blocks that completed before the stream broke; resume keeps
+ * the safe ones. Resolves to { result, messages, carried }: the last attempt's result, the
+ * conversation it was sent, and every block carried over from broken attempts. Once `signal`
+ * aborts, a broken attempt is not tried again.
+ */
+export async function withRecovery(attempt, messages, { strategy = 'off', maxAttempts = 3, backoffMs = 500, onRecover = () => {}, signal } = {}) {
+    let current = messages;
+    let carried = [];
+
+    for (let n = 1; ; n++) {
+        try {
+            return { result: await attempt(current, n), messages: current, carried };
+        } catch (error) {
+            if (strategy === 'off' || n >= maxAttempts || signal?.aborted) {
+                throw error;
+            }
+
+            if (strategy === 'resume') {
+                const kept = resumableContent(error.partialContent ?? []);
+                if (kept.length > 0) {
+                    carried = [...carried, ...kept];
+                    current = [...current, { role: 'assistant', content: kept }, { role: 'user', content: CONTINUE_PROMPT }];
+                }
+            } else {
+                carried = [];
+                current = messages;
+            }
+
+            const delay = backoffMs * 2 ** (n - 1);
+            await onRecover({ attempt: n, error, delay, carried });
+            await sleep(delay, signal);
+        }
+    }
+}
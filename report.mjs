@@ -0,0 +1,198 @@
+/*
+ * Machine-readable run reports (JSON and JUnit XML)
+ *
+ * The JSON report keeps everything: config, per-iteration and per-stream records,
+ * each stream's event timeline and a classified failure reason. The JUnit report
+ * maps iterations to test suites and streams to test cases, so CI can show them.
+ */
+
+import { VERSION as SDK_VERSION } from '@anthropic-ai/sdk/version';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { summarizeStreams } from './metrics.mjs';
+import { summarizeWorkflows } from './scenario.mjs';
+import { estimateCost, sumUsage } from './usage.mjs';
+
+/*
+ * Why a stream failed, most specific first:
+ *   interrupted           Ctrl-C or SIGTERM cut the stream off; it says nothing about the bug
+ *   integrity_mismatch    a tool result's signed nonce didn't match the stream (see integrity.mjs)
+ *   stream_error          the SDK emitted an 'error' event
+ *   stream_abort          the SDK emitted an 'abort' event
+ *   silent_stream_end     the stream ended with no error/abort, then finalMessage() threw (the README bug)
+ *   exception             anything else thrown while streaming
+ *   protocol_violation    finished cleanly, but the events broke a stream-validator.mjs rule
+ *   auth_error            finished cleanly, but the MCP server refused the token for some tool calls (HTTP 401)
+ *   tool_refused          finished cleanly, but some tool calls were refused before the tool ran (an unsigned error)
+ *   missing_tool_results  finished cleanly, but some mcp_tool_use blocks got no mcp_tool_result
+ *   wrong_tool_call_count finished cleanly, but made a different number of tool calls than asked
+ */
+export function classifyFailure(result, expectedToolCalls) {
+    if (result.success) {
+        return null;
+    }
+    if (result.interrupted) {
+        return 'interrupted';
+    }
+    if (result.integrityViolations?.length > 0) {
+        return 'integrity_mismatch';
+    }
+    if (result.sdkSignal === 'error') {
+        return 'stream_error';
+    }
+    if (result.sdkSignal === 'abort') {
+        return 'stream_abort';
+    }
+    if (result.error) {
+        return /without producing a Message/.test(result.error) ? 'silent_stream_end' : 'exception';
+    }
+    if (result.violations?.length > 0) {
+        return 'protocol_violation';
+    }
+    if (result.toolAuthErrors > 0) {
+        return 'auth_error';
+    }
+    if (result.toolRefusals > 0) {
+        return 'tool_refused';
+    }
+    if (result.toolResultsReceived < result.toolCallsMade) {
+        return 'missing_tool_results';
+    }
+    if (result.toolCallsMade !== expectedToolCalls) {
+        return 'wrong_tool_call_count';
+    }
+    return 'unknown';
+}
+
+const countBy = (items, key) =>
+    items.reduce((counts, item) => {
+        const value = key(item);
+        if (value) {
+            counts[value] = (counts[value] ?? 0) + 1;
+        }
+        return counts;
+    }, {});
+
+// Everything but secrets (and the full price table - `price` is the one that applied)
+const reportableConfig = ({ anthropicApiKey, mcpAuthToken, mcpClientSecret, integritySecret, prices, help, ...config }) => config;
+
+/*
+ * `mcpServer` is what mcp.mjs reported on /health ({ transport, serverInstance }), so a
+ * report says whether its streams ran against a shared or per-request McpServer.
+ * `interruptedBy` is the signal that cut the run short, if one did; streams it aborted
+ * are counted apart from the failures.
+ */
+export function buildReport({ config, mode, mcpServer = null, startedAt, iterations, sweep, bisect, interruptedBy = null }) {
+    const streams = iterations.flatMap((iteration) => iteration.results);
+    const failures = streams.filter((stream) => !stream.success && !stream.interrupted);
+    const interrupted = streams.filter((stream) => stream.interrupted);
+    const serverTimings = iterations.some((iteration) => iteration.serverToolTimings)
+        ? iterations.flatMap((iteration) => iteration.serverToolTimings ?? [])
+        : undefined;
+    const durationMs = Date.now() - startedAt;
+    const usage = sumUsage(streams.map((stream) => stream.usage).filter(Boolean));
+    const costUsd = estimateCost(usage, config.price);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs,
+        sdkVersion: SDK_VERSION,
+        nodeVersion: process.version,
+        mode,
+        partial: interruptedBy !== null,
+        interruptedBy,
+        mcpServer,
+        config: reportableConfig(config),
+        summary: {
+            iterations: iterations.length,
+            totalStreams: streams.length,
+            successes: streams.length - failures.length - interrupted.length,
+            failures: failures.length,
+            interrupted: interrupted.length,
+            failureReasons: countBy(failures, (stream) => stream.failureReason),
+            metrics: summarizeStreams(streams, { durationMs, serverTimings }),
+            ...(config.workflows && { workflows: summarizeWorkflows(streams) }),
+            usage: {
+                ...usage,
+                costUsd,
+                budgetUsd: config.budgetUsd ?? null,
+                budgetReached: config.budgetUsd !== undefined && costUsd >= config.budgetUsd,
+                streamsNotStarted: iterations.reduce((sum, iteration) => sum + (iteration.skipped ?? 0), 0),
+            },
+        },
+        ...(sweep && { sweep }),
+        ...(bisect && { bisect }),
+        iterations,
+    };
+}
+
+const escapeXml = (value) =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab/newline are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+const formatTimeline = (timeline) =>
+    timeline.map((entry) => `[${entry.t}ms] ${entry.type}${entry.detail ? ` ${entry.detail}` : ''}`).join('\n');
+
+const testCase = (iteration, stream) => {
+    const attributes = `classname="iteration-${iteration.iteration}" name="stream ${stream.streamId}" time="${seconds(stream.duration)}"`;
+    const failure = stream.success
+        ? ''
+        : stream.interrupted
+          ? `\n      <skipped message="interrupted"/>`
+          : `\n      <failure type="${escapeXml(stream.failureReason)}" message="${escapeXml(stream.error ?? stream.failureReason)}">` +
+            escapeXml(
+                `${stream.toolCallsMade} tool calls, ${stream.toolResultsReceived} results, SDK signal: ${stream.sdkSignal}, injected fault: ${stream.injectedFault}` +
+                    (stream.diagnosis ? `\nDiagnosis: ${stream.diagnosis}` : '')
+            ) +
+            '</failure>';
+    const timeline = `\n      <system-out>${escapeXml(formatTimeline(stream.timeline))}</system-out>`;
+
+    return `    <testcase ${attributes}>${failure}${timeline}\n    </testcase>`;
+};
+
+const testSuite = (iteration) => {
+    const name = `iteration ${iteration.iteration}${iteration.responseSize ? ` (${iteration.responseSize} bytes)` : ''}`;
+    const attributes =
+        `name="${escapeXml(name)}" tests="${iteration.results.length}" failures="${iteration.failureCount}" errors="0" ` +
+        `skipped="${iteration.interruptedCount ?? 0}" ` +
+        `time="${seconds(iteration.totalDuration)}" timestamp="${new Date(iteration.startedAt).toISOString()}"`;
+
+    return [`  <testsuite ${attributes}>`, ...iteration.results.map((stream) => testCase(iteration, stream)), '  </testsuite>'].join('\n');
+};
+
+export function toJUnitXml(report) {
+    const attributes =
+        `name="mcp-concurrent-streams" tests="${report.summary.totalStreams}" failures="${report.summary.failures}" ` +
+        `errors="0" skipped="${report.summary.interrupted}" time="${seconds(report.durationMs)}"`;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites ${attributes}>`,
+        ...report.iterations.map(testSuite),
+        '</testsuites>',
+        '',
+    ].join('\n');
+}
+
+const writeOutput = async (path, contents) => {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, contents);
+    console.log(`📝 Report written: ${path}`);
+};
+
+export async function writeReports(report, { reportJson, reportJunit }) {
+    if (reportJson) {
+        await writeOutput(reportJson, JSON.stringify(report, null, 2) + '\n');
+    }
+    if (reportJunit) {
+        await writeOutput(reportJunit, toJUnitXml(report));
+    }
+}
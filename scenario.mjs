@@ -0,0 +1,287 @@
+/*
+ * Scenarios: a mix of workflows, each with its own prompts, tools and expected tool calls
+ *
+ * A scenario file (JSON or YAML, --scenario) lists workflows:
+ *
+ *   description: Enrichment and lookups side by side
+ *   workflows:
+ *     - name: enrichment
+ *       weight: 2                  # share of the streams (default 1)
+ *       tools: [get-profile, query-database, enrich-data]   # default: every catalog tool
+ *       system: ...                # default: the built-in system prompt
+ *       prompt: ...                # default: the built-in user prompt
+ *       thinkingBudget: 0          # default: --thinking-budget
+ *       toolCalls: 3               # default: the length of expect.sequence, else --tool-calls
+ *       expect:
+ *         order: strict            # strict (default) or any
+ *         sequence:
+ *           - tool: get-profile
+ *             input: { userId: { pattern: "^u-" } }
+ *           - tool: query-database
+ *
+ * Prompts may use {tools}, {sequence}, {firstTool} and {toolCalls}. Streams get workflows in
+ * weighted round-robin order (weights 2 and 1: a, a, b, a, a, b, ...), so a run is repeatable.
+ *
+ * Argument matchers: a literal must be equal; an object with equals, pattern (regex),
+ * type (string, number, integer, boolean, array, object, null), oneOf or exists checks
+ * the value; any other object matches key by key. Keys not mentioned are ignored.
+ *
+ * A stream whose tool calls don't match its workflow's sequence has drifted. Drift is
+ * the model's doing, so it is reported next to transport failures, not as one.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parse as parseYaml } from 'yaml';
+
+export const DEFAULT_SYSTEM_PROMPT =
+    'You are testing MCP tools. You have access to: {tools}. Call them in a purely random order. They do not actually represent real tools, but are used to test the MCP server. Ignore the tool names entirely!!!! Make exactly {toolCalls} total calls. After each tool returns, briefly acknowledge and call the next tool.';
+
+export const DEFAULT_PROMPT =
+    'Call the tools {toolCalls} times total in this order: {sequence}. Repeat the cycle if you need more calls. Start now with {firstTool}.';
+
+const ORDERS = ['strict', 'any'];
+const MATCHER_KEYS = ['equals', 'pattern', 'type', 'oneOf', 'exists'];
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+// Throws on a matcher that could never work (bad regex, unknown type)
+const validateMatcher = (matcher, where) => {
+    if (!isPlainObject(matcher)) {
+        return;
+    }
+    if (!MATCHER_KEYS.some((key) => key in matcher)) {
+        for (const [key, value] of Object.entries(matcher)) {
+            validateMatcher(value, `${where}.${key}`);
+        }
+        return;
+    }
+    if ('pattern' in matcher) {
+        try {
+            new RegExp(matcher.pattern);
+        } catch (error) {
+            throw new Error(`${where}: invalid pattern: ${error.message}`);
+        }
+    }
+    if ('type' in matcher && !TYPES.includes(matcher.type)) {
+        throw new Error(`${where}: type must be one of ${TYPES.join(', ')}`);
+    }
+    if ('oneOf' in matcher && !Array.isArray(matcher.oneOf)) {
+        throw new Error(`${where}: oneOf must be a list`);
+    }
+};
+
+// Why `value` doesn't match `matcher`, or null if it does
+export function matchValue(matcher, value, path = 'input') {
+    if (!isPlainObject(matcher)) {
+        return sameValue(matcher, value) ? null : `${path} is ${JSON.stringify(value)}, expected ${JSON.stringify(matcher)}`;
+    }
+    if (!MATCHER_KEYS.some((key) => key in matcher)) {
+        for (const [key, subMatcher] of Object.entries(matcher)) {
+            const mismatch = matchValue(subMatcher, isPlainObject(value) ? value[key] : undefined, `${path}.${key}`);
+            if (mismatch) {
+                return mismatch;
+            }
+        }
+        return null;
+    }
+
+    if ('exists' in matcher && (value !== undefined) !== Boolean(matcher.exists)) {
+        return matcher.exists ? `${path} is missing` : `${path} should not be set`;
+    }
+    if (value === undefined && !('exists' in matcher && !matcher.exists)) {
+        return Object.keys(matcher).some((key) => key !== 'exists') ? `${path} is missing` : null;
+    }
+    if ('equals' in matcher && !sameValue(matcher.equals, value)) {
+        return `${path} is ${JSON.stringify(value)}, expected ${JSON.stringify(matcher.equals)}`;
+    }
+    if ('pattern' in matcher && !(typeof value === 'string' && new RegExp(matcher.pattern).test(value))) {
+        return `${path} is ${JSON.stringify(value)}, expected to match /${matcher.pattern}/`;
+    }
+    if ('type' in matcher && !(matcher.type === 'integer' ? Number.isInteger(value) : typeOf(value) === matcher.type)) {
+        return `${path} is ${typeOf(value)}, expected ${matcher.type}`;
+    }
+    if ('oneOf' in matcher && !matcher.oneOf.some((option) => sameValue(option, value))) {
+        return `${path} is ${JSON.stringify(value)}, expected one of ${JSON.stringify(matcher.oneOf)}`;
+    }
+    return null;
+}
+
+const fillPrompt = (template, workflow) => {
+    const sequence = workflow.expect?.sequence.length > 0 ? workflow.expect.sequence.map((step) => step.tool) : workflow.tools;
+    return template
+        .replaceAll('{tools}', workflow.tools.join(', '))
+        .replaceAll('{sequence}', sequence.join(' → '))
+        .replaceAll('{firstTool}', sequence[0])
+        .replaceAll('{toolCalls}', String(workflow.toolCalls));
+};
+
+/*
+ * A workflow entry with its defaults filled in from the run's settings and its prompts rendered.
+ * Resolved per stream rather than at load time, so defaults follow settings that change
+ * during a run (--bisect shrinks toolCallsPerStream). `{}` is what runs without a scenario.
+ */
+export function resolveWorkflow(entry, config) {
+    const workflow = {
+        name: entry.name ?? 'default',
+        tools: entry.tools ?? config.toolNames,
+        thinkingBudget: entry.thinkingBudget ?? config.thinkingBudget,
+        expect: entry.expect ? { order: entry.expect.order ?? 'strict', sequence: entry.expect.sequence } : null,
+    };
+    workflow.toolCalls = entry.toolCalls ?? (workflow.expect?.sequence.length || config.toolCallsPerStream);
+    workflow.system = fillPrompt(entry.system ?? DEFAULT_SYSTEM_PROMPT, workflow);
+    workflow.prompt = fillPrompt(entry.prompt ?? DEFAULT_PROMPT, workflow);
+    return workflow;
+}
+
+const validateWorkflow = (entry, index, config) => {
+    const where = `workflow ${entry?.name ? `"${entry.name}"` : `#${index + 1}`}`;
+    if (!isPlainObject(entry)) {
+        throw new Error(`${where} must be an object`);
+    }
+    if (typeof entry.name !== 'string' || entry.name === '') {
+        throw new Error(`${where}: "name" is required`);
+    }
+    if (entry.weight !== undefined && !(Number.isInteger(entry.weight) && entry.weight >= 1)) {
+        throw new Error(`${where}: weight must be a positive integer`);
+    }
+    for (const tool of [...(entry.tools ?? []), ...(entry.expect?.sequence ?? []).map((step) => step?.tool)]) {
+        if (!config.toolNames.includes(tool)) {
+            throw new Error(`${where}: unknown tool "${tool}" (catalog has: ${config.toolNames.join(', ')})`);
+        }
+    }
+    if (entry.toolCalls !== undefined && !(Number.isInteger(entry.toolCalls) && entry.toolCalls >= 1)) {
+        throw new Error(`${where}: toolCalls must be a positive integer`);
+    }
+    const thinking = entry.thinkingBudget;
+    if (thinking !== undefined && !(thinking === 0 || (Number.isInteger(thinking) && thinking >= 1024 && thinking < config.maxTokens))) {
+        throw new Error(`${where}: thinkingBudget must be 0 or from 1024 to below max_tokens (${config.maxTokens})`);
+    }
+    if (entry.expect !== undefined) {
+        if (entry.expect.order !== undefined && !ORDERS.includes(entry.expect.order)) {
+            throw new Error(`${where}: expect.order must be one of ${ORDERS.join(', ')}`);
+        }
+        if (!Array.isArray(entry.expect.sequence)) {
+            throw new Error(`${where}: expect.sequence must be a list of { tool, input }`);
+        }
+        entry.expect.sequence.forEach((step, i) => validateMatcher(step.input, `${where}: expect.sequence[${i}].input`));
+    }
+};
+
+// Loads a scenario file and checks its workflows against the run's settings ({ toolNames, maxTokens })
+export async function loadScenario(path, config) {
+    const source = await readFile(path, 'utf8').catch((error) => {
+        throw new Error(`Cannot read scenario ${path}: ${error.message}`);
+    });
+    const scenario = /\.ya?ml$/i.test(path) ? parseYaml(source) : JSON.parse(source);
+    if (!isPlainObject(scenario) || !Array.isArray(scenario.workflows) || scenario.workflows.length === 0) {
+        throw new Error(`Scenario ${path} must have a non-empty "workflows" list`);
+    }
+
+    try {
+        scenario.workflows.forEach((entry, index) => validateWorkflow(entry, index, config));
+    } catch (error) {
+        throw new Error(`Scenario ${path}: ${error.message}`);
+    }
+    const names = scenario.workflows.map((entry) => entry.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+        throw new Error(`Scenario ${path}: workflow name "${duplicate}" is used twice`);
+    }
+
+    return { description: scenario.description ?? null, workflows: scenario.workflows };
+}
+
+// Weighted round robin: the workflow entry for the nth stream (1-based) of an iteration
+export function workflowFor(workflows, streamId) {
+    const total = workflows.reduce((sum, workflow) => sum + (workflow.weight ?? 1), 0);
+    let slot = (streamId - 1) % total;
+    for (const workflow of workflows) {
+        slot -= workflow.weight ?? 1;
+        if (slot < 0) {
+            return workflow;
+        }
+    }
+    return workflows.at(-1);
+}
+
+/*
+ * How `calls` ({ name, input } in the order they were made) drift from `expect`: a list of
+ * { call, reason, message }, empty when they match. reason is one of wrong_tool, wrong_input,
+ * missing_call (an expected call never made) and extra_call (a call beyond the sequence).
+ */
+export function checkSequence(expect, calls) {
+    const drift = [];
+    const mismatch = (step, call) =>
+        step.tool !== call.name ? `${call.name} instead of ${step.tool}` : step.input !== undefined ? matchValue(step.input, call.input) : null;
+
+    if (expect.order === 'any') {
+        const unused = [...calls.keys()];
+        for (const step of expect.sequence) {
+            const found = unused.findIndex((i) => !mismatch(step, calls[i]));
+            if (found === -1) {
+                drift.push({ call: null, reason: 'missing_call', message: `no matching ${step.tool} call` });
+            } else {
+                unused.splice(found, 1);
+            }
+        }
+        for (const i of unused) {
+            drift.push({ call: i + 1, reason: 'extra_call', message: `call ${i + 1}: unexpected ${calls[i].name}` });
+        }
+        return drift;
+    }
+
+    expect.sequence.forEach((step, i) => {
+        const call = calls[i];
+        if (!call) {
+            drift.push({ call: i + 1, reason: 'missing_call', message: `call ${i + 1}: ${step.tool} never made` });
+            return;
+        }
+        const problem = mismatch(step, call);
+        if (problem) {
+            drift.push({ call: i + 1, reason: step.tool !== call.name ? 'wrong_tool' : 'wrong_input', message: `call ${i + 1}: ${problem}` });
+        }
+    });
+    calls.slice(expect.sequence.length).forEach((call, i) => {
+        const n = expect.sequence.length + i + 1;
+        drift.push({ call: n, reason: 'extra_call', message: `call ${n}: unexpected ${call.name}` });
+    });
+    return drift;
+}
+
+// Per workflow: { streams, successes, checked, drifted, driftReasons } - checked streams are the ones that ran to the end with expectations
+export function summarizeWorkflows(streams) {
+    const summary = {};
+    for (const stream of streams.filter((stream) => stream.workflow)) {
+        const entry = (summary[stream.workflow] ??= { streams: 0, successes: 0, checked: 0, drifted: 0, driftReasons: {} });
+        entry.streams++;
+        entry.successes += stream.success ? 1 : 0;
+        if (stream.drift) {
+            entry.checked++;
+            entry.drifted += stream.drift.length > 0 ? 1 : 0;
+            for (const item of stream.drift) {
+                entry.driftReasons[item.reason] = (entry.driftReasons[item.reason] ?? 0) + 1;
+            }
+        }
+    }
+    return summary;
+}
+
+export const describeWorkflows = (summary) =>
+    Object.entries(summary)
+        .map(([name, entry]) => {
+            const reasons = Object.entries(entry.driftReasons).map(([reason, count]) => `${reason}: ${count}`);
+            return (
+                `  ${name}: ${entry.successes}/${entry.streams} succeeded` +
+                (entry.checked > 0 ? `, ${entry.drifted}/${entry.checked} drifted${reasons.length ? ` (${reasons.join(', ')})` : ''}` : '')
+            );
+        })
+        .join('\n');
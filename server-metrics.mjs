@@ -0,0 +1,112 @@
+/*
+ * Prometheus metrics for mcp.mjs, served on GET /metrics
+ *
+ *   mcp_http_requests_total              requests by method, route and status
+ *   mcp_http_request_duration_seconds    request latency by method and route
+ *   mcp_transports_in_flight             open Streamable HTTP transports (per request, or per session)
+ *   mcp_sessions_open                    open sessions (MCP_TRANSPORT_MODE=session)
+ *   mcp_tool_calls_in_flight             tool calls running now (what a shutdown drains)
+ *   mcp_tool_calls_total                 tool calls by tool and outcome (ok, error)
+ *   mcp_tool_duration_seconds            tool execution time by tool
+ *   mcp_tool_response_bytes              serialized tool result size by tool
+ *   mcp_errors_total                     errors by type (unauthorized, session_not_found, not_found, bad_request, internal, tool)
+ *
+ * plus prom-client's default Node.js process metrics.
+ */
+
+import { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } from 'prom-client';
+
+/*
+ * A fresh registry with every metric above, for one createApp() - apps in one process (the
+ * tests run several) don't share counts. Returns { registry, httpRequests, ... }.
+ */
+export function createMetrics() {
+    const registry = new Registry();
+    collectDefaultMetrics({ register: registry });
+
+    const httpRequests = new Counter({
+        name: 'mcp_http_requests_total',
+        help: 'HTTP requests by method, route and status',
+        labelNames: ['method', 'route', 'status'],
+        registers: [registry],
+    });
+
+    const httpRequestDuration = new Histogram({
+        name: 'mcp_http_request_duration_seconds',
+        help: 'HTTP request latency by method and route',
+        labelNames: ['method', 'route'],
+        buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+        registers: [registry],
+    });
+
+    const transportsInFlight = new Gauge({
+        name: 'mcp_transports_in_flight',
+        help: 'Open Streamable HTTP transports',
+        registers: [registry],
+    });
+
+    const sessionsOpen = new Gauge({
+        name: 'mcp_sessions_open',
+        help: 'Open MCP sessions (session transport mode)',
+        registers: [registry],
+    });
+
+    const toolCallsInFlight = new Gauge({
+        name: 'mcp_tool_calls_in_flight',
+        help: 'Tool calls running now',
+        registers: [registry],
+    });
+
+    const toolCalls = new Counter({
+        name: 'mcp_tool_calls_total',
+        help: 'Tool calls by tool and outcome',
+        labelNames: ['tool', 'outcome'],
+        registers: [registry],
+    });
+
+    const toolDuration = new Histogram({
+        name: 'mcp_tool_duration_seconds',
+        help: 'Tool execution time by tool',
+        labelNames: ['tool'],
+        buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+        registers: [registry],
+    });
+
+    const toolResponseBytes = new Histogram({
+        name: 'mcp_tool_response_bytes',
+        help: 'Serialized tool result size by tool',
+        labelNames: ['tool'],
+        buckets: [1024, 16 * 1024, 64 * 1024, 256 * 1024, 1024 ** 2, 4 * 1024 ** 2, 16 * 1024 ** 2],
+        registers: [registry],
+    });
+
+    const errors = new Counter({
+        name: 'mcp_errors_total',
+        help: 'Errors by type',
+        labelNames: ['type'],
+        registers: [registry],
+    });
+
+    return {
+        registry,
+        httpRequests,
+        httpRequestDuration,
+        transportsInFlight,
+        sessionsOpen,
+        toolCallsInFlight,
+        toolCalls,
+        toolDuration,
+        toolResponseBytes,
+        errors,
+    };
+}
+
+// Error type for a finished HTTP response, if it was one. Only a 404 for an MCP request that
+// named a session is a lost session; any other 404 is just a wrong path.
+export const errorType = (status, { route, sessionId } = {}) => {
+    if (status === 401) return 'unauthorized';
+    if (status === 404) return route === '/mcp' && sessionId ? 'session_not_found' : 'not_found';
+    if (status >= 500) return 'internal';
+    if (status >= 400) return 'bad_request';
+    return null;
+};
@@ -0,0 +1,32 @@
+/*
+ * Coordinated shutdown on Ctrl-C (SIGINT) and SIGTERM, shared by anthropic.mjs and mcp.mjs
+ *
+ * The first signal calls `onSignal(signal)`, which winds things down and exits when it is
+ * done. A second signal exits at once, for when winding down takes too long.
+ */
+
+export const SHUTDOWN_SIGNALS = { SIGINT: 130, SIGTERM: 143 };
+
+// The exit code for being stopped by `signal` (128 + its number, as shells report it)
+export const signalExitCode = (signal) => SHUTDOWN_SIGNALS[signal] ?? 1;
+
+export function handleShutdown(onSignal) {
+    let shuttingDown = false;
+
+    const listener = (signal) => {
+        if (shuttingDown) {
+            console.error(`\n${signal} again - exiting now`);
+            process.exit(signalExitCode(signal));
+        }
+        shuttingDown = true;
+        Promise.resolve(onSignal(signal)).catch((error) => {
+            console.error(`Error during shutdown: ${error.message}`);
+            process.exit(signalExitCode(signal));
+        });
+    };
+
+    for (const signal of Object.keys(SHUTDOWN_SIGNALS)) {
+        process.on(signal, listener);
+    }
+    return () => Object.keys(SHUTDOWN_SIGNALS).forEach((signal) => process.off(signal, listener));
+}
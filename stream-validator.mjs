@@ -0,0 +1,150 @@
+/*
+ * Messages stream state machine
+ *
+ * Checks the order of stream events and explains which rule a broken stream violated,
+ * instead of leaving us with "stream ended without producing a Message". Rules:
+ *
+ *   message_start            comes first, exactly once
+ *   content_block_start      opens the next index, only when no other block is open
+ *   content_block_delta      targets the open block
+ *   content_block_stop       closes the open block
+ *   mcp_tool_use             every id gets an mcp_tool_result with a matching tool_use_id
+ *   message_delta            only after message_start, with no block open
+ *   message_stop             comes last; nothing follows it
+ *
+ * Feed SDK stream events (or parsed capture frames) to `onEvent`, then call `close()`
+ * once the stream has ended to check what was left open (calling it again is harmless).
+ * Both return the violations so far.
+ */
+
+const describeBlock = (block) => `index ${block.index} (${block.type})`;
+
+export function createStreamValidator() {
+    const violations = [];
+    const openToolUses = new Map();
+    let started = false;
+    let stopped = false;
+    let openBlock = null;
+    let nextIndex = 0;
+    let closed = false;
+
+    const violate = (rule, message) => violations.push({ rule, message });
+
+    const onEvent = (event) => {
+        if (stopped) {
+            violate('after_message_stop', `${event.type} after message_stop`);
+            return violations;
+        }
+        if (!started && event.type !== 'message_start') {
+            violate('message_start_first', `${event.type} before message_start`);
+        }
+
+        switch (event.type) {
+            case 'message_start':
+                if (started) {
+                    violate('single_message_start', 'second message_start in one stream');
+                }
+                started = true;
+                break;
+
+            case 'content_block_start': {
+                const block = { index: event.index, type: event.content_block?.type, id: event.content_block?.id };
+                if (openBlock) {
+                    violate('block_nesting', `content_block_start ${describeBlock(block)} while ${describeBlock(openBlock)} is still open`);
+                }
+                if (event.index !== nextIndex) {
+                    violate('block_order', `content_block_start index ${event.index}, expected index ${nextIndex}`);
+                }
+                openBlock = block;
+                nextIndex = event.index + 1;
+
+                if (block.type === 'mcp_tool_use') {
+                    openToolUses.set(block.id, event.content_block.name);
+                }
+                if (block.type === 'mcp_tool_result') {
+                    const toolUseId = event.content_block.tool_use_id;
+                    if (!openToolUses.has(toolUseId)) {
+                        violate('tool_result_match', `mcp_tool_result ${describeBlock(block)} for unknown tool_use_id ${toolUseId}`);
+                    }
+                    openToolUses.delete(toolUseId);
+                }
+                break;
+            }
+
+            case 'content_block_delta':
+                if (!openBlock || openBlock.index !== event.index) {
+                    violate('delta_target', `content_block_delta for index ${event.index}, but ${openBlock ? describeBlock(openBlock) : 'no block'} is open`);
+                }
+                break;
+
+            case 'content_block_stop':
+                if (!openBlock || openBlock.index !== event.index) {
+                    violate('block_stop_match', `content_block_stop for index ${event.index}, but ${openBlock ? describeBlock(openBlock) : 'no block'} is open`);
+                }
+                openBlock = null;
+                break;
+
+            case 'message_delta':
+                if (openBlock) {
+                    violate('block_nesting', `message_delta while ${describeBlock(openBlock)} is still open`);
+                }
+                break;
+
+            case 'message_stop':
+                if (openBlock) {
+                    violate('block_stop_match', `message_stop while ${describeBlock(openBlock)} is still open`);
+                }
+                stopped = true;
+                break;
+        }
+
+        return violations;
+    };
+
+    const close = () => {
+        if (closed) {
+            return violations;
+        }
+        closed = true;
+
+        if (!started) {
+            violate('message_start_first', 'stream closed without message_start');
+        } else if (openBlock) {
+            violate('stream_closed_open_block', `stream closed with open block ${describeBlock(openBlock)}`);
+        }
+        for (const [id, name] of openToolUses) {
+            violate('tool_result_match', `mcp_tool_use ${id} (${name}) never got an mcp_tool_result`);
+        }
+        if (started && !stopped) {
+            violate('message_stop_last', 'stream closed before message_stop');
+        }
+        return violations;
+    };
+
+    return { onEvent, close, violations };
+}
+
+/*
+ * Validate a recorded stream (capture.mjs frames). Frames whose data is not JSON are
+ * violations too - the SDK would have thrown on them.
+ */
+export function validateFrames(frames) {
+    const validator = createStreamValidator();
+
+    for (const frame of frames) {
+        if (frame.event === 'ping' || frame.event === 'error') {
+            continue;
+        }
+        const data = /^data: ?(.*)$/m.exec(frame.raw)?.[1];
+        try {
+            validator.onEvent(JSON.parse(data));
+        } catch {
+            validator.violations.push({
+                rule: 'valid_json',
+                message: `${frame.event} at ${frame.t}ms is not valid JSON${frame.partial ? ' (truncated frame)' : ''}`,
+            });
+        }
+    }
+
+    return validator.close();
+}
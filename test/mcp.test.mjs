@@ -0,0 +1,239 @@
+/*
+ * mcp.mjs, run in-process on a random port
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createIntegrityChecker } from '../integrity.mjs';
+import { createApp } from '../mcp.mjs';
+import { callMcpTool, closeMcp, connectMcp } from '../mcp-client.mjs';
+
+const TOOLS = ['get-profile', 'query-database', 'enrich-data'];
+
+// Starts createApp(env) on a free port; resolves to { url, shutdown, close }
+const startServer = async (env = {}) => {
+    const { app, shutdown } = await createApp({ LOG_LEVEL: 'error', ...env });
+    const server = await new Promise((resolve, reject) => {
+        const listening = app.listen(0, () => resolve(listening)).on('error', reject);
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        shutdown,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+};
+
+const textOf = (content) => content.filter((part) => part.type === 'text').map((part) => part.text).join('');
+
+for (const transport of ['stateless', 'session']) {
+    describe(`MCP server (${transport} transport)`, () => {
+        let server;
+        before(async () => {
+            server = await startServer({ MCP_TRANSPORT_MODE: transport });
+        });
+        after(() => server.close());
+
+        test('lists the catalog tools', async () => {
+            const mcp = await connectMcp(`${server.url}/mcp`);
+            try {
+                const { tools } = await mcp.listTools();
+                assert.deepEqual(
+                    tools.map((tool) => tool.name),
+                    TOOLS
+                );
+                assert.ok(tools.every((tool) => tool.description && tool.inputSchema));
+            } finally {
+                await closeMcp(mcp);
+            }
+        });
+
+        test('calls a tool with the requested response size', async () => {
+            const mcp = await connectMcp(`${server.url}/mcp?responseSize=2KB&latency=0`);
+            try {
+                const result = await callMcpTool(mcp, 'get-profile', { uuid: 'u-1' });
+                assert.equal(result.is_error, false);
+                assert.ok(Math.abs(Buffer.byteLength(textOf(result.content)) - 2048) < 256);
+            } finally {
+                await closeMcp(mcp);
+            }
+        });
+
+        test('keeps concurrent streams apart', async () => {
+            const streams = Array.from({ length: 8 }, (_, i) => ({ correlationId: `test-s${i + 1}`, size: 1024 * (i + 1) }));
+
+            const results = await Promise.all(
+                streams.map(async ({ correlationId, size }) => {
+                    const mcp = await connectMcp(`${server.url}/mcp?correlationId=${correlationId}&responseSize=${size}&latency=20`);
+                    try {
+                        const calls = [];
+                        for (const tool of TOOLS) {
+                            calls.push({ tool, result: await callMcpTool(mcp, tool, {}) });
+                        }
+                        return calls;
+                    } finally {
+                        await closeMcp(mcp);
+                    }
+                })
+            );
+
+            results.forEach((calls, i) => {
+                const integrity = createIntegrityChecker({ correlationId: streams[i].correlationId });
+                for (const { tool, result } of calls) {
+                    assert.equal(result.is_error, false);
+                    assert.equal(integrity.check(result.content, tool), null, `${streams[i].correlationId} got another stream's ${tool} result`);
+                    // The nonce block aside, the payload is the size this stream asked for
+                    const payload = textOf(result.content.slice(1));
+                    assert.ok(Math.abs(Buffer.byteLength(payload) - streams[i].size) < 256);
+                }
+            });
+        });
+    });
+}
+
+describe('MCP server errors', () => {
+    let server;
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+
+    const post = (path, body) =>
+        fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+            body: JSON.stringify(body),
+        });
+
+    test('answers a request that fails inside the handler with -32603', async () => {
+        const response = await post('/mcp?responseSize=lots', { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+        assert.equal(response.status, 500);
+        const body = await response.json();
+        assert.equal(body.error.code, -32603);
+        assert.equal(body.error.message, 'Internal server error');
+        assert.ok(response.headers.get('x-request-id'));
+    });
+
+    test('rejects GET in stateless mode', async () => {
+        const response = await fetch(`${server.url}/mcp`);
+        assert.equal(response.status, 405);
+        assert.equal((await response.json()).error.code, -32000);
+    });
+
+    test('reports an unknown tool as a tool error', async () => {
+        const mcp = await connectMcp(`${server.url}/mcp`);
+        try {
+            const result = await callMcpTool(mcp, 'no-such-tool', {});
+            assert.equal(result.is_error, true);
+            assert.match(textOf(result.content), /no-such-tool/);
+        } finally {
+            await closeMcp(mcp);
+        }
+    });
+
+    test('counts only 404s for a named MCP session as lost sessions', async () => {
+        const session = await startServer({ MCP_TRANSPORT_MODE: 'session' });
+        const errors = async (type) => {
+            const metrics = await (await fetch(`${session.url}/metrics`)).text();
+            return Number(new RegExp(`^mcp_errors_total\\{type="${type}"\\} (\\d+)`, 'm').exec(metrics)?.[1] ?? 0);
+        };
+        try {
+            const response = await fetch(`${session.url}/mcp`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': 'gone' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+            });
+            assert.equal(response.status, 404);
+            assert.equal((await fetch(`${session.url}/no-such-path`)).status, 404);
+
+            // Each app counts on its own registry, so these are this server's alone
+            assert.equal(await errors('session_not_found'), 1);
+            assert.equal(await errors('not_found'), 1);
+        } finally {
+            await session.close();
+        }
+    });
+
+    test('refuses invalid settings', async () => {
+        await assert.rejects(createApp({ LOG_LEVEL: 'error', MCP_TRANSPORT_MODE: 'carrier-pigeon' }), /Invalid MCP_TRANSPORT_MODE/);
+        await assert.rejects(createApp({ LOG_LEVEL: 'error', MCP_AUTH: 'static' }), /needs MCP_AUTH_TOKEN/);
+    });
+});
+
+describe('MCP server sessions', () => {
+    test('closes a session its client left without a DELETE', async () => {
+        const server = await startServer({ MCP_TRANSPORT_MODE: 'session', MCP_SESSION_IDLE_MS: '100' });
+        const post = (body, headers = {}) =>
+            fetch(`${server.url}/mcp`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+                body: JSON.stringify(body),
+            });
+        try {
+            const initialized = await post({
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'initialize',
+                params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+            });
+            const sessionId = initialized.headers.get('mcp-session-id');
+            assert.ok(sessionId);
+            await initialized.text();
+
+            const listTools = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+            const kept = await post(listTools, { 'Mcp-Session-Id': sessionId, 'Mcp-Protocol-Version': '2025-06-18' });
+            assert.equal(kept.status, 200);
+            await kept.text();
+
+            await new Promise((resolve) => setTimeout(resolve, 300));
+            assert.equal((await post(listTools, { 'Mcp-Session-Id': sessionId, 'Mcp-Protocol-Version': '2025-06-18' })).status, 404);
+        } finally {
+            await server.close();
+        }
+    });
+});
+
+describe('MCP server shutdown', () => {
+    // Resolves once the server is running a tool call
+    const toolCallStarted = async (url) => {
+        for (;;) {
+            const metrics = await (await fetch(`${url}/metrics`)).text();
+            if (/^mcp_tool_calls_in_flight [1-9]/m.test(metrics)) {
+                return;
+            }
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+    };
+
+    test('lets tool calls in flight finish and turns new requests away', async () => {
+        const server = await startServer();
+        const mcp = await connectMcp(`${server.url}/mcp?latency=300`);
+        try {
+            const call = callMcpTool(mcp, 'enrich-data', {});
+            await toolCallStarted(server.url);
+
+            assert.equal(await server.shutdown({ timeoutMs: 5000 }), 0);
+            assert.equal((await call).is_error, false);
+
+            const response = await fetch(`${server.url}/mcp`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+            assert.equal(response.status, 503);
+        } finally {
+            await closeMcp(mcp);
+            await server.close();
+        }
+    });
+
+    test('gives up on tool calls after the drain timeout', async () => {
+        const server = await startServer();
+        const mcp = await connectMcp(`${server.url}/mcp?latency=500`);
+        try {
+            const call = callMcpTool(mcp, 'enrich-data', {});
+            await toolCallStarted(server.url);
+
+            assert.equal(await server.shutdown({ timeoutMs: 50 }), 1);
+            await call;
+        } finally {
+            await closeMcp(mcp);
+            await server.close();
+        }
+    });
+});
@@ -0,0 +1,95 @@
+/*
+ * Stream analysis against recorded captures (test/fixtures/captures, one per mock fault mode,
+ * and `refused`: `none` with its second tool call turned away by a draining server)
+ *
+ * Each capture is replayed through anthropic.mjs --replay, so the SDK parses the same bytes
+ * again and the harness diagnoses and classifies the stream as it did when it was recorded.
+ */
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { describe, test } from 'node:test';
+import { readCapture } from '../capture.mjs';
+import { classifyFailure } from '../report.mjs';
+import { createStreamValidator, validateFrames } from '../stream-validator.mjs';
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/captures/${name}.jsonl`, import.meta.url));
+const harness = fileURLToPath(new URL('../anthropic.mjs', import.meta.url));
+
+const replay = async (name) => {
+    try {
+        const { stdout } = await promisify(execFile)(process.execPath, [harness, '--replay', fixture(name)], { timeout: 30000 });
+        return { code: 0, stdout };
+    } catch (error) {
+        if (typeof error.code !== 'number') {
+            throw error;
+        }
+        return { code: error.code, stdout: error.stdout };
+    }
+};
+
+// What each capture should come out as: exit code, failure reason, and the raw-frame diagnosis
+const CASES = {
+    none: { code: 0, result: '✅ SUCCESS', frames: null },
+    no_message_stop: { code: 1, result: '❌ FAILURE [silent_stream_end]', frames: /closed before message_stop/ },
+    truncate: { code: 1, result: '❌ FAILURE [silent_stream_end]', frames: /not valid JSON \(truncated frame\)/ },
+    drop_connection: { code: 1, result: '❌ FAILURE [stream_error]', frames: /never got an mcp_tool_result/ },
+    malformed_json: { code: 1, result: '❌ FAILURE [stream_error]', frames: /content_block_delta at \d+ms is not valid JSON/ },
+    // An unsigned error result is a call the tool never ran, whatever the error says
+    refused: { code: 1, result: '❌ FAILURE [tool_refused]', frames: null },
+};
+
+describe('replayed captures', () => {
+    for (const [name, expected] of Object.entries(CASES)) {
+        test(name, async () => {
+            const { code, stdout } = await replay(name);
+            assert.equal(code, expected.code);
+            assert.match(stdout, new RegExp(`^Replay result: ${expected.result.replace(/[[\]]/g, '\\$&')}$`, 'm'));
+            assert.match(stdout, expected.frames ? new RegExp(`^🩺 Raw frames: .*${expected.frames.source}`, 'm') : /^🩺 Raw frames: well-formed$/m);
+        });
+    }
+});
+
+describe('stream validator', () => {
+    test('finds nothing wrong with a complete stream', async () => {
+        const { frames } = await readCapture(fixture('none'));
+        assert.deepEqual(validateFrames(frames), []);
+
+        const validator = createStreamValidator();
+        for (const frame of frames) {
+            validator.onEvent(JSON.parse(frame.raw.slice(frame.raw.indexOf('data:') + 5)));
+        }
+        assert.deepEqual(validator.close(), []);
+    });
+
+    test('flags a tool use left without its result', async () => {
+        const { frames } = await readCapture(fixture('drop_connection'));
+        assert.deepEqual(
+            validateFrames(frames).map((violation) => violation.rule),
+            ['stream_closed_open_block', 'tool_result_match', 'message_stop_last']
+        );
+    });
+});
+
+describe('classifyFailure', () => {
+    const failed = { success: false, sdkSignal: 'none', toolCallsMade: 3, toolResultsReceived: 3 };
+
+    test('ranks integrity first, then SDK signals, exceptions, protocol violations, auth errors and refused calls', () => {
+        assert.equal(classifyFailure({ ...failed, sdkSignal: 'error', integrityViolations: [{}] }, 3), 'integrity_mismatch');
+        assert.equal(classifyFailure({ ...failed, sdkSignal: 'error', error: 'x' }, 3), 'stream_error');
+        assert.equal(classifyFailure({ ...failed, sdkSignal: 'abort' }, 3), 'stream_abort');
+        assert.equal(classifyFailure({ ...failed, error: 'stream ended without producing a Message with role=assistant' }, 3), 'silent_stream_end');
+        assert.equal(classifyFailure({ ...failed, error: 'boom' }, 3), 'exception');
+        assert.equal(classifyFailure({ ...failed, violations: [{}] }, 3), 'protocol_violation');
+        assert.equal(classifyFailure({ ...failed, toolAuthErrors: 1, toolResultsReceived: 2 }, 3), 'auth_error');
+        assert.equal(classifyFailure({ ...failed, toolRefusals: 1 }, 3), 'tool_refused');
+    });
+
+    test('falls back to tool counts', () => {
+        assert.equal(classifyFailure({ ...failed, toolResultsReceived: 2 }, 3), 'missing_tool_results');
+        assert.equal(classifyFailure(failed, 5), 'wrong_tool_call_count');
+        assert.equal(classifyFailure({ ...failed, success: true }, 3), null);
+    });
+});
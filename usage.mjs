@@ -0,0 +1,129 @@
+/*
+ * Token usage and estimated cost
+ *
+ * Every Messages stream reports usage in its events: message_start carries the input side
+ * (input, cache write and cache read tokens) and message_delta cumulative counts. Counting
+ * from the events, instead of finalMessage().usage, covers streams that die partway through
+ * too. Thinking is billed as output; its share is estimated from the thinking deltas
+ * (~4 characters per token), since the API doesn't report it separately.
+ *
+ * Prices are USD per million tokens, by model id prefix (the longest matching prefix wins).
+ * --price-table points at a JSON or YAML file in the same shape, merged over these.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parse as parseYaml } from 'yaml';
+
+export const DEFAULT_PRICES = {
+    'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+    'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+};
+
+const PRICE_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+
+// API usage field -> our field
+const USAGE_FIELDS = {
+    input_tokens: 'inputTokens',
+    output_tokens: 'outputTokens',
+    cache_creation_input_tokens: 'cacheCreationInputTokens',
+    cache_read_input_tokens: 'cacheReadInputTokens',
+};
+
+export const emptyUsage = () => ({
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    thinkingTokens: 0,
+});
+
+export const addUsage = (a, b) => Object.fromEntries(Object.keys(a).map((key) => [key, a[key] + b[key]]));
+
+export const sumUsage = (usages) => usages.reduce(addUsage, emptyUsage());
+
+export async function loadPriceTable(path) {
+    if (!path) {
+        return DEFAULT_PRICES;
+    }
+    const source = await readFile(path, 'utf8').catch((error) => {
+        throw new Error(`Cannot read price table ${path}: ${error.message}`);
+    });
+    const table = /\.ya?ml$/i.test(path) ? parseYaml(source) : JSON.parse(source);
+    for (const [model, price] of Object.entries(table ?? {})) {
+        const missing = PRICE_FIELDS.filter((field) => !(typeof price?.[field] === 'number' && price[field] >= 0));
+        if (missing.length > 0) {
+            throw new Error(`Price table ${path}: "${model}" needs non-negative ${missing.join(', ')} (USD per million tokens)`);
+        }
+    }
+    return { ...DEFAULT_PRICES, ...table };
+}
+
+export const priceFor = (model, prices) => {
+    const prefix = Object.keys(prices)
+        .filter((key) => model.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+};
+
+// Estimated USD for `usage` at `price`; null without a price
+export const estimateCost = (usage, price) =>
+    price
+        ? (usage.inputTokens * price.input +
+              usage.outputTokens * price.output +
+              usage.cacheCreationInputTokens * price.cacheWrite +
+              usage.cacheReadInputTokens * price.cacheRead) /
+          1e6
+        : null;
+
+/*
+ * Usage of one Messages stream, fed its events. `onCost(delta)` hears every change in its
+ * estimated cost as it happens, so a run can stop at its budget without waiting for streams
+ * to finish.
+ */
+export function createUsageCounter({ price, onCost = () => {} } = {}) {
+    const usage = emptyUsage();
+    let thinkingChars = 0;
+    let cost = 0;
+
+    const apply = (reported = {}) => {
+        for (const [field, key] of Object.entries(USAGE_FIELDS)) {
+            if (typeof reported[field] === 'number') {
+                usage[key] = reported[field];
+            }
+        }
+        const updated = estimateCost(usage, price) ?? 0;
+        if (updated !== cost) {
+            onCost(updated - cost);
+            cost = updated;
+        }
+    };
+
+    const onEvent = (event) => {
+        switch (event.type) {
+            case 'message_start':
+                apply(event.message.usage);
+                break;
+            case 'message_delta':
+                apply(event.usage);
+                break;
+            case 'content_block_delta':
+                if (event.delta.type === 'thinking_delta') {
+                    thinkingChars += event.delta.thinking.length;
+                    usage.thinkingTokens = Math.ceil(thinkingChars / 4);
+                }
+                break;
+        }
+    };
+
+    return { onEvent, usage: () => ({ ...usage }) };
+}
+
+export const formatCost = (usd) => (usd === null ? 'n/a (no price for this model)' : `$${usd < 1 ? usd.toFixed(4) : usd.toFixed(2)}`);
+
+export const formatUsage = (usage, costUsd) =>
+    `Tokens: ${usage.inputTokens} in, ${usage.outputTokens} out (~${usage.thinkingTokens} thinking), ` +
+    `${usage.cacheReadInputTokens} cache read, ${usage.cacheCreationInputTokens} cache write - est. cost ${formatCost(costUsd)}`;
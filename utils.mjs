@@ -1,7 +1,57 @@
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
 
-/* 
+// "65536", "64KB", "1.5MB" -> bytes
+export function parseSize(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid size "${value}" (expected e.g. 1000, 64KB or 2MB)`);
+    }
+    return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] ?? 'B').toUpperCase()]);
+}
+
+export function formatSize(bytes) {
+    const unit = ['GB', 'MB', 'KB'].find((name) => bytes >= SIZE_UNITS[name]) ?? 'B';
+    return `${Math.round((bytes / SIZE_UNITS[unit]) * 10) / 10}${unit}`;
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "500", "500ms", "30s", "10m", "1.5h" -> milliseconds
+export function parseDuration(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid duration "${value}" (expected e.g. 500ms, 30s or 10m)`);
+    }
+    return Math.round(Number(match[1]) * DURATION_UNITS[(match[2] ?? 'ms').toLowerCase()]);
+}
+
+export function formatDuration(ms) {
+    const unit = ['h', 'm', 's'].find((name) => ms >= DURATION_UNITS[name]) ?? 'ms';
+    return `${Math.round((ms / DURATION_UNITS[unit]) * 10) / 10}${unit}`;
+}
+
+// Resolves after `ms`, or as soon as `signal` aborts
+export const sleep = (ms, signal) =>
+    new Promise((resolve) => {
+        if (signal?.aborted) {
+            resolve();
+            return;
+        }
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal?.addEventListener('abort', done, { once: true });
+    });
+
+/*
  * Size of the response to return from the MCP tool
  * For race condition testing, keep this small (the delay matters more than size)
- * For large response testing, increase to 2000 * 1024 or more
+ * For large response testing, increase to 2000 * 1024 or more (or set TOOL_RESPONSE_SIZE, e.g. "2MB")
+ * Tools in the catalog can set their own responseSize.
  */
-export const TOOL_RESPONSE_SIZE = 1000; // 1KB - small for fast race condition testing
\ No newline at end of file
+export const TOOL_RESPONSE_SIZE = process.env.TOOL_RESPONSE_SIZE
+    ? parseSize(process.env.TOOL_RESPONSE_SIZE)
+    : 1000; // 1KB - small for fast race condition testing